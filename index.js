@@ -3,6 +3,7 @@
 // xyplug-weather: Open-Meteo weather fetcher for xyOps
 // MIT License
 
+const crypto = require("node:crypto");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
@@ -17,8 +18,12 @@ const DEFAULT_DAILY = [
 	"precipitation_hours",
 	"weathercode",
 	"windspeed_10m_max",
+	"windgusts_10m_max",
 	"winddirection_10m_dominant",
-	"shortwave_radiation_sum"
+	"shortwave_radiation_sum",
+	"sunrise",
+	"sunset",
+	"daylight_duration"
 ];
 
 // Default hourly fields pulled from Open-Meteo.
@@ -28,7 +33,9 @@ const DEFAULT_HOURLY = [
 	"precipitation",
 	"weathercode",
 	"windspeed_10m",
-	"winddirection_10m"
+	"windgusts_10m",
+	"winddirection_10m",
+	"is_day"
 ];
 
 // Default air quality fields pulled from Open-Meteo.
@@ -41,7 +48,86 @@ const DEFAULT_AIR_QUALITY_HOURLY = [
 	"ozone",
 	"uv_index",
 	"uv_index_clear_sky",
-	"european_aqi"
+	"european_aqi",
+	"us_aqi",
+	"us_aqi_pm2_5",
+	"us_aqi_pm10",
+	"us_aqi_nitrogen_dioxide",
+	"us_aqi_ozone",
+	"us_aqi_sulphur_dioxide",
+	"us_aqi_carbon_monoxide"
+];
+
+// Pollen fields pulled from Open-Meteo (only available for Europe, during pollen season).
+const POLLEN_HOURLY = [
+	"alder_pollen",
+	"birch_pollen",
+	"grass_pollen",
+	"mugwort_pollen",
+	"olive_pollen",
+	"ragweed_pollen"
+];
+
+// Marine hourly fields pulled from Open-Meteo: waves, swell and ocean currents.
+const DEFAULT_MARINE_HOURLY = [
+	"wave_height",
+	"wave_direction",
+	"wave_period",
+	"wind_wave_height",
+	"swell_wave_height",
+	"swell_wave_direction",
+	"swell_wave_period",
+	"ocean_current_velocity",
+	"ocean_current_direction"
+];
+
+// Marine daily fields pulled from Open-Meteo.
+const DEFAULT_MARINE_DAILY = [
+	"wave_height_max",
+	"wave_direction_dominant",
+	"wave_period_max",
+	"swell_wave_height_max",
+	"swell_wave_direction_dominant",
+	"swell_wave_period_max"
+];
+
+// Solar hourly fields pulled from Open-Meteo: irradiance on the panel plane, and air temperature for derating.
+const DEFAULT_SOLAR_HOURLY = [
+	"global_tilted_irradiance",
+	"temperature_2m"
+];
+
+// Solar system settings with their default and allowed range: capacity (kWp), panel tilt (degrees from horizontal),
+// azimuth (degrees from south, -90 east, 90 west) and system losses (percent, e.g. inverter, wiring and soiling).
+const SOLAR_SETTINGS = {
+	capacity: { min: 0.01, max: 100000 },
+	tilt: { value: 30, min: 0, max: 90 },
+	azimuth: { value: 0, min: -180, max: 180 },
+	losses: { value: 14, min: 0, max: 99 }
+};
+
+// PV module temperature model: cell heating per W/m² ((NOCT 45 °C - 20 °C) / 800 W/m²), and power change per °C above 25 °C.
+const SOLAR_CELL_HEATING = 25 / 800;
+const SOLAR_TEMP_COEFFICIENT = -0.004;
+
+// European AQI categories (upper bound, label, color and health advisory).
+const EUROPEAN_AQI_CATEGORIES = [
+	{ max: 20, label: "Good", color: "#50F0E6", advisory: "The air quality is good. Enjoy your usual outdoor activities." },
+	{ max: 40, label: "Fair", color: "#50CCAA", advisory: "Enjoy your usual outdoor activities." },
+	{ max: 60, label: "Moderate", color: "#F0E641", advisory: "Sensitive groups should consider reducing intense outdoor activities if they experience symptoms." },
+	{ max: 80, label: "Poor", color: "#FF5050", advisory: "Consider reducing intense outdoor activities if you experience symptoms such as sore eyes, a cough or sore throat." },
+	{ max: 100, label: "Very Poor", color: "#960032", advisory: "Reduce physical activities outdoors, especially if you experience symptoms." },
+	{ max: Infinity, label: "Extremely Poor", color: "#7D2181", advisory: "Avoid physical activities outdoors." }
+];
+
+// US EPA AQI categories (upper bound, label, color and health advisory).
+const US_AQI_CATEGORIES = [
+	{ max: 50, label: "Good", color: "#00E400", advisory: "Air quality is satisfactory, and air pollution poses little or no risk." },
+	{ max: 100, label: "Moderate", color: "#FFFF00", advisory: "Unusually sensitive people should consider reducing prolonged or heavy outdoor exertion." },
+	{ max: 150, label: "Unhealthy for Sensitive Groups", color: "#FF7E00", advisory: "Sensitive groups may experience health effects and should reduce prolonged or heavy outdoor exertion." },
+	{ max: 200, label: "Unhealthy", color: "#FF0000", advisory: "Everyone may begin to experience health effects. Sensitive groups should avoid prolonged or heavy outdoor exertion." },
+	{ max: 300, label: "Very Unhealthy", color: "#8F3F97", advisory: "Health alert: everyone may experience more serious health effects. Avoid prolonged or heavy outdoor exertion." },
+	{ max: Infinity, label: "Hazardous", color: "#7E0023", advisory: "Health warning of emergency conditions: everyone should avoid all outdoor exertion." }
 ];
 
 // Unit mappings for nice output labels.
@@ -62,11 +148,714 @@ const PRECIP_UNITS = {
 	mm: "mm"
 };
 
+// Default current variables requested from Open-Meteo (override with params.current).
+const DEFAULT_CURRENT = [
+	"temperature_2m",
+	"relativehumidity_2m",
+	"apparent_temperature",
+	"is_day",
+	"precipitation",
+	"weathercode",
+	"cloudcover",
+	"pressure_msl",
+	"windspeed_10m",
+	"winddirection_10m",
+	"windgusts_10m"
+];
+
+// Current variables always requested (in either spelling), as they back the legacy `current_weather` shape and summary.
+const REQUIRED_CURRENT = [
+	["temperature_2m"],
+	["is_day"],
+	["weathercode", "weather_code"],
+	["windspeed_10m", "wind_speed_10m"],
+	["winddirection_10m", "wind_direction_10m"]
+];
+
+// Legacy `current_weather` keys, mapped from the modern `current` variable names (either spelling).
+const LEGACY_CURRENT_KEYS = {
+	temperature_2m: "temperature",
+	windspeed_10m: "windspeed",
+	wind_speed_10m: "windspeed",
+	winddirection_10m: "winddirection",
+	wind_direction_10m: "winddirection",
+	weather_code: "weathercode"
+};
+
+// Default significance thresholds for change tracking, matched against daily field names (in the selected units).
+const DEFAULT_CHANGE_THRESHOLDS = [
+	{ pattern: /temperature/, value: 2 },
+	{ pattern: /probability/, value: 10 },
+	{ pattern: /wind|gust/, value: 5 },
+	{ pattern: /_hours$/, value: 2 },
+	{ pattern: /_sum$/, value: 0.1 }
+];
+
+// Daily fields never tracked for changes: astronomical, directional or derived values.
+const UNTRACKED_FIELDS = /^(time|sunrise|sunset|daylight_duration|sunshine_duration|wind_compass|beaufort)$|direction/;
+
+// Friendly labels for tracked daily fields, used in change lines.
+const CHANGE_FIELD_LABELS = {
+	temperature_2m_max: "High",
+	temperature_2m_min: "Low",
+	rain_sum: "Rain",
+	showers_sum: "Showers",
+	snowfall_sum: "Snow",
+	precipitation_sum: "Precip",
+	precipitation_probability_max: "Precip chance",
+	windspeed_10m_max: "Wind",
+	weathercode: "Conditions"
+};
+
+// Briefing periods by local hour, with the day offset for hours after midnight.
+const BRIEFING_PERIODS = [
+	{ name: "overnight", start: 0, end: 6, dayOffset: -1 },
+	{ name: "morning", start: 6, end: 12, dayOffset: 0 },
+	{ name: "afternoon", start: 12, end: 18, dayOffset: 0 },
+	{ name: "evening", start: 18, end: 24, dayOffset: 0 }
+];
+
+// Beaufort scale upper bounds in m/s, indexed by Beaufort number.
+const BEAUFORT_SCALE = [
+	{ max: 0.5, name: "calm" },
+	{ max: 1.6, name: "light air" },
+	{ max: 3.4, name: "light breeze" },
+	{ max: 5.5, name: "gentle breeze" },
+	{ max: 8.0, name: "moderate breeze" },
+	{ max: 10.8, name: "fresh breeze" },
+	{ max: 13.9, name: "strong breeze" },
+	{ max: 17.2, name: "near gale" },
+	{ max: 20.8, name: "gale" },
+	{ max: 24.5, name: "strong gale" },
+	{ max: 28.5, name: "storm" },
+	{ max: 32.7, name: "violent storm" },
+	{ max: Infinity, name: "hurricane force" }
+];
+
+// 16-point compass labels, starting at north.
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+// Conversion factors from each windspeed unit to m/s.
+const WIND_TO_MS = {
+	mph: 0.44704,
+	kmh: 1 / 3.6,
+	ms: 1,
+	kn: 0.514444
+};
+
+// Derived fields computed locally, which must not be requested from the API.
+const DERIVED_FIELDS = ["wind_compass", "beaufort", "beaufort_name", "windgusts", "dewpoint"];
+
+// Translations for summary text, keyed by language code, then by English phrase.
+// Missing languages or phrases fall back to English.
+const TRANSLATIONS = {
+	de: {
+		"clear skies": "klarer Himmel",
+		"clear night": "klare Nacht",
+		"mostly clear night": "überwiegend klare Nacht",
+		"mostly clear": "überwiegend klar",
+		"mostly cloudy": "überwiegend bewölkt",
+		"overcast": "bedeckt",
+		"fog": "Nebel",
+		"depositing rime fog": "Nebel mit Reifablagerung",
+		"light drizzle": "leichter Nieselregen",
+		"moderate drizzle": "mäßiger Nieselregen",
+		"dense drizzle": "starker Nieselregen",
+		"light freezing drizzle": "leichter gefrierender Nieselregen",
+		"dense freezing drizzle": "starker gefrierender Nieselregen",
+		"slight rain": "leichter Regen",
+		"moderate rain": "mäßiger Regen",
+		"heavy rain": "starker Regen",
+		"light freezing rain": "leichter gefrierender Regen",
+		"heavy freezing rain": "starker gefrierender Regen",
+		"light snow fall": "leichter Schneefall",
+		"moderate snow fall": "mäßiger Schneefall",
+		"heavy snow fall": "starker Schneefall",
+		"snow grains": "Schneegriesel",
+		"light rain showers": "leichte Regenschauer",
+		"moderate rain showers": "mäßige Regenschauer",
+		"violent rain showers": "heftige Regenschauer",
+		"light snow showers": "leichte Schneeschauer",
+		"heavy snow showers": "starke Schneeschauer",
+		"thunderstorm": "Gewitter",
+		"thunderstorm with light hail": "Gewitter mit leichtem Hagel",
+		"thunderstorm with heavy hail": "Gewitter mit starkem Hagel",
+		"unknown conditions": "unbekannte Bedingungen",
+		"Good": "Gut",
+		"Fair": "Mittelmäßig",
+		"Moderate": "Mäßig",
+		"Poor": "Schlecht",
+		"Very Poor": "Sehr schlecht",
+		"Extremely Poor": "Extrem schlecht",
+		"Unhealthy for Sensitive Groups": "Ungesund für empfindliche Gruppen",
+		"Unhealthy": "Ungesund",
+		"Very Unhealthy": "Sehr ungesund",
+		"Hazardous": "Gefährlich",
+		"The air quality is good. Enjoy your usual outdoor activities.": "Die Luftqualität ist gut. Genießen Sie Ihre gewohnten Aktivitäten im Freien.",
+		"Enjoy your usual outdoor activities.": "Genießen Sie Ihre gewohnten Aktivitäten im Freien.",
+		"Sensitive groups should consider reducing intense outdoor activities if they experience symptoms.": "Empfindliche Personen sollten anstrengende Aktivitäten im Freien einschränken, wenn sie Beschwerden haben.",
+		"Consider reducing intense outdoor activities if you experience symptoms such as sore eyes, a cough or sore throat.": "Schränken Sie anstrengende Aktivitäten im Freien ein, wenn Sie Beschwerden wie gereizte Augen, Husten oder Halsschmerzen haben.",
+		"Reduce physical activities outdoors, especially if you experience symptoms.": "Reduzieren Sie körperliche Aktivitäten im Freien, besonders wenn Sie Beschwerden haben.",
+		"Avoid physical activities outdoors.": "Vermeiden Sie körperliche Aktivitäten im Freien.",
+		"Air quality is satisfactory, and air pollution poses little or no risk.": "Die Luftqualität ist zufriedenstellend, und die Luftverschmutzung stellt kaum oder kein Risiko dar.",
+		"Unusually sensitive people should consider reducing prolonged or heavy outdoor exertion.": "Ungewöhnlich empfindliche Personen sollten längere oder schwere Anstrengungen im Freien einschränken.",
+		"Sensitive groups may experience health effects and should reduce prolonged or heavy outdoor exertion.": "Empfindliche Personen können gesundheitliche Auswirkungen spüren und sollten längere oder schwere Anstrengungen im Freien einschränken.",
+		"Everyone may begin to experience health effects. Sensitive groups should avoid prolonged or heavy outdoor exertion.": "Jeder kann gesundheitliche Auswirkungen spüren. Empfindliche Personen sollten längere oder schwere Anstrengungen im Freien vermeiden.",
+		"Health alert: everyone may experience more serious health effects. Avoid prolonged or heavy outdoor exertion.": "Gesundheitswarnung: Jeder kann ernstere gesundheitliche Auswirkungen spüren. Vermeiden Sie längere oder schwere Anstrengungen im Freien.",
+		"Health warning of emergency conditions: everyone should avoid all outdoor exertion.": "Gesundheitswarnung vor einer Notlage: Jeder sollte jegliche Anstrengung im Freien vermeiden.",
+		"High": "Höchst",
+		"Low": "Tiefst",
+		"Wind": "Wind",
+		"Humidity": "Luftfeuchte",
+		"Waves": "Wellen",
+		"from": "aus",
+		"Precip chance": "Regenwahrscheinlichkeit",
+		"below freezing": "unter dem Gefrierpunkt",
+		"above freezing": "über dem Gefrierpunkt",
+		"this morning": "heute Vormittag",
+		"this afternoon": "heute Nachmittag",
+		"this evening": "heute Abend",
+		"overnight": "in der Nacht",
+		"tomorrow morning": "morgen Vormittag",
+		"tomorrow afternoon": "morgen Nachmittag",
+		"tomorrow evening": "morgen Abend",
+		"tomorrow night": "morgen Nacht",
+		"likely": "wahrscheinlich",
+		"possible": "möglich",
+		"clearing": "aufklarend",
+		"from {start} to {end}": "von {start} bis {end}",
+		"from {start}": "ab {start}",
+		"until {end}": "bis {end}",
+		"Sunrise": "Sonnenaufgang",
+		"Sunset": "Sonnenuntergang",
+		"Daylight": "Tageslicht",
+		"calm": "Windstille",
+		"light air": "leiser Zug",
+		"light breeze": "leichte Brise",
+		"gentle breeze": "schwache Brise",
+		"moderate breeze": "mäßige Brise",
+		"fresh breeze": "frische Brise",
+		"strong breeze": "starker Wind",
+		"near gale": "steifer Wind",
+		"gale": "stürmischer Wind",
+		"strong gale": "Sturm",
+		"storm": "schwerer Sturm",
+		"violent storm": "orkanartiger Sturm",
+		"hurricane force": "Orkan",
+		"feels like": "gefühlt",
+		"gusts": "Böen",
+		"Snow": "Schnee",
+		"Showers": "Schauer",
+		"Rain": "Regen",
+		"Precip": "Niederschlag",
+		"Air Quality": "Luftqualität",
+		"When": "Zeit",
+		"Conditions": "Wetter",
+		"Temperature": "Temperatur",
+		"Precipitation": "Niederschlag",
+		"Location": "Ort",
+		"Current Conditions": "Aktuelles Wetter",
+		"Weather Forecast": "Wettervorhersage",
+		"Weather Summary": "Wetterübersicht",
+		"Daily forecast followed by hourly forecast, from Open-Meteo.": "Tagesvorhersage, gefolgt von der Stundenvorhersage, von Open-Meteo.",
+		"Weather data by Open-Meteo.com": "Wetterdaten von Open-Meteo.com",
+		"Damaging gusts": "Sturmböen",
+		"Very high UV": "Sehr hohe UV-Strahlung",
+		"Extreme UV": "Extreme UV-Strahlung",
+		"Heavy snow": "Starker Schneefall",
+		"Heat stress": "Hitzebelastung",
+		"Hard freeze": "Strenger Frost",
+		"Solar": "Solarertrag",
+		"peak": "Spitze"
+	},
+	fr: {
+		"clear skies": "ciel dégagé",
+		"clear night": "nuit dégagée",
+		"mostly clear night": "nuit plutôt dégagée",
+		"mostly clear": "plutôt dégagé",
+		"mostly cloudy": "plutôt nuageux",
+		"overcast": "couvert",
+		"fog": "brouillard",
+		"depositing rime fog": "brouillard givrant",
+		"light drizzle": "bruine légère",
+		"moderate drizzle": "bruine modérée",
+		"dense drizzle": "bruine dense",
+		"light freezing drizzle": "bruine verglaçante légère",
+		"dense freezing drizzle": "bruine verglaçante dense",
+		"slight rain": "pluie faible",
+		"moderate rain": "pluie modérée",
+		"heavy rain": "forte pluie",
+		"light freezing rain": "pluie verglaçante légère",
+		"heavy freezing rain": "forte pluie verglaçante",
+		"light snow fall": "faibles chutes de neige",
+		"moderate snow fall": "chutes de neige modérées",
+		"heavy snow fall": "fortes chutes de neige",
+		"snow grains": "neige en grains",
+		"light rain showers": "averses de pluie légères",
+		"moderate rain showers": "averses de pluie modérées",
+		"violent rain showers": "violentes averses de pluie",
+		"light snow showers": "averses de neige légères",
+		"heavy snow showers": "fortes averses de neige",
+		"thunderstorm": "orage",
+		"thunderstorm with light hail": "orage avec grêle légère",
+		"thunderstorm with heavy hail": "orage avec forte grêle",
+		"unknown conditions": "conditions inconnues",
+		"Good": "Bon",
+		"Fair": "Moyen",
+		"Moderate": "Modéré",
+		"Poor": "Médiocre",
+		"Very Poor": "Très médiocre",
+		"Extremely Poor": "Extrêmement médiocre",
+		"Unhealthy for Sensitive Groups": "Mauvais pour les groupes sensibles",
+		"Unhealthy": "Mauvais",
+		"Very Unhealthy": "Très mauvais",
+		"Hazardous": "Dangereux",
+		"The air quality is good. Enjoy your usual outdoor activities.": "La qualité de l'air est bonne. Profitez de vos activités de plein air habituelles.",
+		"Enjoy your usual outdoor activities.": "Profitez de vos activités de plein air habituelles.",
+		"Sensitive groups should consider reducing intense outdoor activities if they experience symptoms.": "Les personnes sensibles devraient envisager de réduire les activités intenses en plein air si elles ressentent des symptômes.",
+		"Consider reducing intense outdoor activities if you experience symptoms such as sore eyes, a cough or sore throat.": "Envisagez de réduire les activités intenses en plein air si vous ressentez des symptômes tels que des yeux irrités, une toux ou un mal de gorge.",
+		"Reduce physical activities outdoors, especially if you experience symptoms.": "Réduisez les activités physiques en plein air, surtout si vous ressentez des symptômes.",
+		"Avoid physical activities outdoors.": "Évitez les activités physiques en plein air.",
+		"Air quality is satisfactory, and air pollution poses little or no risk.": "La qualité de l'air est satisfaisante, et la pollution présente peu ou pas de risque.",
+		"Unusually sensitive people should consider reducing prolonged or heavy outdoor exertion.": "Les personnes particulièrement sensibles devraient envisager de réduire les efforts prolongés ou intenses en plein air.",
+		"Sensitive groups may experience health effects and should reduce prolonged or heavy outdoor exertion.": "Les personnes sensibles peuvent ressentir des effets sur la santé et devraient réduire les efforts prolongés ou intenses en plein air.",
+		"Everyone may begin to experience health effects. Sensitive groups should avoid prolonged or heavy outdoor exertion.": "Tout le monde peut commencer à ressentir des effets sur la santé. Les personnes sensibles devraient éviter les efforts prolongés ou intenses en plein air.",
+		"Health alert: everyone may experience more serious health effects. Avoid prolonged or heavy outdoor exertion.": "Alerte sanitaire : tout le monde peut ressentir des effets plus graves sur la santé. Évitez les efforts prolongés ou intenses en plein air.",
+		"Health warning of emergency conditions: everyone should avoid all outdoor exertion.": "Avertissement sanitaire d'urgence : tout le monde devrait éviter tout effort en plein air.",
+		"High": "Max",
+		"Low": "Min",
+		"Wind": "Vent",
+		"Humidity": "Humidité",
+		"Waves": "Vagues",
+		"from": "de",
+		"Precip chance": "Risque de précipitations",
+		"below freezing": "sous zéro",
+		"above freezing": "au-dessus de zéro",
+		"this morning": "ce matin",
+		"this afternoon": "cet après-midi",
+		"this evening": "ce soir",
+		"overnight": "cette nuit",
+		"tomorrow morning": "demain matin",
+		"tomorrow afternoon": "demain après-midi",
+		"tomorrow evening": "demain soir",
+		"tomorrow night": "la nuit prochaine",
+		"likely": "probable",
+		"possible": "possible",
+		"clearing": "éclaircies",
+		"from {start} to {end}": "de {start} à {end}",
+		"from {start}": "à partir de {start}",
+		"until {end}": "jusqu'à {end}",
+		"Sunrise": "Lever du soleil",
+		"Sunset": "Coucher du soleil",
+		"Daylight": "Durée du jour",
+		"calm": "calme",
+		"light air": "très légère brise",
+		"light breeze": "légère brise",
+		"gentle breeze": "petite brise",
+		"moderate breeze": "jolie brise",
+		"fresh breeze": "bonne brise",
+		"strong breeze": "vent frais",
+		"near gale": "grand frais",
+		"gale": "coup de vent",
+		"strong gale": "fort coup de vent",
+		"storm": "tempête",
+		"violent storm": "violente tempête",
+		"hurricane force": "ouragan",
+		"feels like": "ressenti",
+		"gusts": "rafales",
+		"Snow": "Neige",
+		"Showers": "Averses",
+		"Rain": "Pluie",
+		"Precip": "Précip.",
+		"Air Quality": "Qualité de l'air",
+		"When": "Quand",
+		"Conditions": "Conditions",
+		"Temperature": "Température",
+		"Precipitation": "Précipitations",
+		"Location": "Lieu",
+		"Current Conditions": "Conditions actuelles",
+		"Weather Forecast": "Prévisions météo",
+		"Weather Summary": "Résumé météo",
+		"Daily forecast followed by hourly forecast, from Open-Meteo.": "Prévisions quotidiennes suivies des prévisions horaires, par Open-Meteo.",
+		"Weather data by Open-Meteo.com": "Données météo par Open-Meteo.com",
+		"Damaging gusts": "Rafales dangereuses",
+		"Very high UV": "UV très élevés",
+		"Extreme UV": "UV extrêmes",
+		"Heavy snow": "Fortes chutes de neige",
+		"Heat stress": "Stress thermique",
+		"Hard freeze": "Gel intense",
+		"Solar": "Production solaire",
+		"peak": "pic"
+	},
+	es: {
+		"clear skies": "cielo despejado",
+		"clear night": "noche despejada",
+		"mostly clear night": "noche mayormente despejada",
+		"mostly clear": "mayormente despejado",
+		"mostly cloudy": "mayormente nublado",
+		"overcast": "cubierto",
+		"fog": "niebla",
+		"depositing rime fog": "niebla con escarcha",
+		"light drizzle": "llovizna ligera",
+		"moderate drizzle": "llovizna moderada",
+		"dense drizzle": "llovizna densa",
+		"light freezing drizzle": "llovizna helada ligera",
+		"dense freezing drizzle": "llovizna helada densa",
+		"slight rain": "lluvia ligera",
+		"moderate rain": "lluvia moderada",
+		"heavy rain": "lluvia intensa",
+		"light freezing rain": "lluvia helada ligera",
+		"heavy freezing rain": "lluvia helada intensa",
+		"light snow fall": "nevada ligera",
+		"moderate snow fall": "nevada moderada",
+		"heavy snow fall": "nevada intensa",
+		"snow grains": "granos de nieve",
+		"light rain showers": "chubascos ligeros",
+		"moderate rain showers": "chubascos moderados",
+		"violent rain showers": "chubascos violentos",
+		"light snow showers": "chubascos de nieve ligeros",
+		"heavy snow showers": "chubascos de nieve intensos",
+		"thunderstorm": "tormenta",
+		"thunderstorm with light hail": "tormenta con granizo ligero",
+		"thunderstorm with heavy hail": "tormenta con granizo intenso",
+		"unknown conditions": "condiciones desconocidas",
+		"Good": "Buena",
+		"Fair": "Aceptable",
+		"Moderate": "Moderada",
+		"Poor": "Mala",
+		"Very Poor": "Muy mala",
+		"Extremely Poor": "Extremadamente mala",
+		"Unhealthy for Sensitive Groups": "Dañina para grupos sensibles",
+		"Unhealthy": "Dañina",
+		"Very Unhealthy": "Muy dañina",
+		"Hazardous": "Peligrosa",
+		"The air quality is good. Enjoy your usual outdoor activities.": "La calidad del aire es buena. Disfrute de sus actividades habituales al aire libre.",
+		"Enjoy your usual outdoor activities.": "Disfrute de sus actividades habituales al aire libre.",
+		"Sensitive groups should consider reducing intense outdoor activities if they experience symptoms.": "Los grupos sensibles deberían considerar reducir las actividades intensas al aire libre si presentan síntomas.",
+		"Consider reducing intense outdoor activities if you experience symptoms such as sore eyes, a cough or sore throat.": "Considere reducir las actividades intensas al aire libre si presenta síntomas como irritación de ojos, tos o dolor de garganta.",
+		"Reduce physical activities outdoors, especially if you experience symptoms.": "Reduzca la actividad física al aire libre, sobre todo si presenta síntomas.",
+		"Avoid physical activities outdoors.": "Evite la actividad física al aire libre.",
+		"Air quality is satisfactory, and air pollution poses little or no risk.": "La calidad del aire es satisfactoria y la contaminación supone poco o ningún riesgo.",
+		"Unusually sensitive people should consider reducing prolonged or heavy outdoor exertion.": "Las personas especialmente sensibles deberían considerar reducir los esfuerzos prolongados o intensos al aire libre.",
+		"Sensitive groups may experience health effects and should reduce prolonged or heavy outdoor exertion.": "Los grupos sensibles pueden sufrir efectos en la salud y deberían reducir los esfuerzos prolongados o intensos al aire libre.",
+		"Everyone may begin to experience health effects. Sensitive groups should avoid prolonged or heavy outdoor exertion.": "Todos pueden empezar a sufrir efectos en la salud. Los grupos sensibles deberían evitar los esfuerzos prolongados o intensos al aire libre.",
+		"Health alert: everyone may experience more serious health effects. Avoid prolonged or heavy outdoor exertion.": "Alerta sanitaria: todos pueden sufrir efectos más graves en la salud. Evite los esfuerzos prolongados o intensos al aire libre.",
+		"Health warning of emergency conditions: everyone should avoid all outdoor exertion.": "Advertencia sanitaria de emergencia: todos deberían evitar cualquier esfuerzo al aire libre.",
+		"High": "Máx",
+		"Low": "Mín",
+		"Wind": "Viento",
+		"Humidity": "Humedad",
+		"Waves": "Olas",
+		"from": "del",
+		"Precip chance": "Probabilidad de precipitación",
+		"below freezing": "bajo cero",
+		"above freezing": "sobre cero",
+		"this morning": "esta mañana",
+		"this afternoon": "esta tarde",
+		"this evening": "esta noche",
+		"overnight": "de madrugada",
+		"tomorrow morning": "mañana por la mañana",
+		"tomorrow afternoon": "mañana por la tarde",
+		"tomorrow evening": "mañana por la noche",
+		"tomorrow night": "mañana de madrugada",
+		"likely": "probable",
+		"possible": "posible",
+		"clearing": "despejando",
+		"from {start} to {end}": "de {start} a {end}",
+		"from {start}": "desde {start}",
+		"until {end}": "hasta {end}",
+		"Sunrise": "Amanecer",
+		"Sunset": "Atardecer",
+		"Daylight": "Luz del día",
+		"calm": "calma",
+		"light air": "ventolina",
+		"light breeze": "brisa muy débil",
+		"gentle breeze": "brisa débil",
+		"moderate breeze": "brisa moderada",
+		"fresh breeze": "brisa fresca",
+		"strong breeze": "brisa fuerte",
+		"near gale": "viento fuerte",
+		"gale": "temporal",
+		"strong gale": "temporal fuerte",
+		"storm": "temporal duro",
+		"violent storm": "temporal muy duro",
+		"hurricane force": "huracán",
+		"feels like": "sensación",
+		"gusts": "ráfagas",
+		"Snow": "Nieve",
+		"Showers": "Chubascos",
+		"Rain": "Lluvia",
+		"Precip": "Precip.",
+		"Air Quality": "Calidad del aire",
+		"When": "Cuándo",
+		"Conditions": "Condiciones",
+		"Temperature": "Temperatura",
+		"Precipitation": "Precipitación",
+		"Location": "Ubicación",
+		"Current Conditions": "Condiciones actuales",
+		"Weather Forecast": "Pronóstico del tiempo",
+		"Weather Summary": "Resumen del tiempo",
+		"Daily forecast followed by hourly forecast, from Open-Meteo.": "Pronóstico diario seguido del pronóstico por horas, de Open-Meteo.",
+		"Weather data by Open-Meteo.com": "Datos meteorológicos de Open-Meteo.com",
+		"Damaging gusts": "Rachas dañinas",
+		"Very high UV": "UV muy alto",
+		"Extreme UV": "UV extremo",
+		"Heavy snow": "Nevada intensa",
+		"Heat stress": "Estrés térmico",
+		"Hard freeze": "Helada fuerte",
+		"Solar": "Producción solar",
+		"peak": "pico"
+	},
+	it: {
+		"clear skies": "cielo sereno",
+		"clear night": "notte serena",
+		"mostly clear night": "notte prevalentemente serena",
+		"mostly clear": "prevalentemente sereno",
+		"mostly cloudy": "prevalentemente nuvoloso",
+		"overcast": "coperto",
+		"fog": "nebbia",
+		"depositing rime fog": "nebbia con brina",
+		"light drizzle": "pioviggine leggera",
+		"moderate drizzle": "pioviggine moderata",
+		"dense drizzle": "pioviggine intensa",
+		"light freezing drizzle": "pioviggine gelata leggera",
+		"dense freezing drizzle": "pioviggine gelata intensa",
+		"slight rain": "pioggia leggera",
+		"moderate rain": "pioggia moderata",
+		"heavy rain": "pioggia forte",
+		"light freezing rain": "pioggia gelata leggera",
+		"heavy freezing rain": "pioggia gelata forte",
+		"light snow fall": "nevicata leggera",
+		"moderate snow fall": "nevicata moderata",
+		"heavy snow fall": "nevicata forte",
+		"snow grains": "neve granulosa",
+		"light rain showers": "rovesci leggeri",
+		"moderate rain showers": "rovesci moderati",
+		"violent rain showers": "rovesci violenti",
+		"light snow showers": "rovesci di neve leggeri",
+		"heavy snow showers": "rovesci di neve forti",
+		"thunderstorm": "temporale",
+		"thunderstorm with light hail": "temporale con grandine leggera",
+		"thunderstorm with heavy hail": "temporale con grandine forte",
+		"unknown conditions": "condizioni sconosciute",
+		"Good": "Buona",
+		"Fair": "Discreta",
+		"Moderate": "Moderata",
+		"Poor": "Scarsa",
+		"Very Poor": "Molto scarsa",
+		"Extremely Poor": "Estremamente scarsa",
+		"Unhealthy for Sensitive Groups": "Dannosa per i gruppi sensibili",
+		"Unhealthy": "Dannosa",
+		"Very Unhealthy": "Molto dannosa",
+		"Hazardous": "Pericolosa",
+		"The air quality is good. Enjoy your usual outdoor activities.": "La qualità dell'aria è buona. Svolgi pure le tue consuete attività all'aperto.",
+		"Enjoy your usual outdoor activities.": "Svolgi pure le tue consuete attività all'aperto.",
+		"Sensitive groups should consider reducing intense outdoor activities if they experience symptoms.": "I gruppi sensibili dovrebbero valutare di ridurre le attività intense all'aperto in caso di sintomi.",
+		"Consider reducing intense outdoor activities if you experience symptoms such as sore eyes, a cough or sore throat.": "Valuta di ridurre le attività intense all'aperto in caso di sintomi come irritazione agli occhi, tosse o mal di gola.",
+		"Reduce physical activities outdoors, especially if you experience symptoms.": "Riduci le attività fisiche all'aperto, soprattutto in caso di sintomi.",
+		"Avoid physical activities outdoors.": "Evita le attività fisiche all'aperto.",
+		"Air quality is satisfactory, and air pollution poses little or no risk.": "La qualità dell'aria è soddisfacente e l'inquinamento comporta un rischio minimo o nullo.",
+		"Unusually sensitive people should consider reducing prolonged or heavy outdoor exertion.": "Le persone particolarmente sensibili dovrebbero valutare di ridurre gli sforzi prolungati o intensi all'aperto.",
+		"Sensitive groups may experience health effects and should reduce prolonged or heavy outdoor exertion.": "I gruppi sensibili possono avere effetti sulla salute e dovrebbero ridurre gli sforzi prolungati o intensi all'aperto.",
+		"Everyone may begin to experience health effects. Sensitive groups should avoid prolonged or heavy outdoor exertion.": "Tutti possono iniziare ad avere effetti sulla salute. I gruppi sensibili dovrebbero evitare gli sforzi prolungati o intensi all'aperto.",
+		"Health alert: everyone may experience more serious health effects. Avoid prolonged or heavy outdoor exertion.": "Allerta sanitaria: tutti possono avere effetti più gravi sulla salute. Evita gli sforzi prolungati o intensi all'aperto.",
+		"Health warning of emergency conditions: everyone should avoid all outdoor exertion.": "Avviso sanitario di emergenza: tutti dovrebbero evitare qualsiasi sforzo all'aperto.",
+		"High": "Max",
+		"Low": "Min",
+		"Wind": "Vento",
+		"Humidity": "Umidità",
+		"Waves": "Onde",
+		"from": "da",
+		"Precip chance": "Probabilità di precipitazioni",
+		"below freezing": "sotto zero",
+		"above freezing": "sopra zero",
+		"this morning": "stamattina",
+		"this afternoon": "oggi pomeriggio",
+		"this evening": "stasera",
+		"overnight": "stanotte",
+		"tomorrow morning": "domani mattina",
+		"tomorrow afternoon": "domani pomeriggio",
+		"tomorrow evening": "domani sera",
+		"tomorrow night": "domani notte",
+		"likely": "probabile",
+		"possible": "possibile",
+		"clearing": "in schiarita",
+		"from {start} to {end}": "dalle {start} alle {end}",
+		"from {start}": "dalle {start}",
+		"until {end}": "fino alle {end}",
+		"Sunrise": "Alba",
+		"Sunset": "Tramonto",
+		"Daylight": "Ore di luce",
+		"calm": "calma",
+		"light air": "bava di vento",
+		"light breeze": "brezza leggera",
+		"gentle breeze": "brezza tesa",
+		"moderate breeze": "vento moderato",
+		"fresh breeze": "vento teso",
+		"strong breeze": "vento fresco",
+		"near gale": "vento forte",
+		"gale": "burrasca",
+		"strong gale": "burrasca forte",
+		"storm": "tempesta",
+		"violent storm": "fortunale",
+		"hurricane force": "uragano",
+		"feels like": "percepita",
+		"gusts": "raffiche",
+		"Snow": "Neve",
+		"Showers": "Rovesci",
+		"Rain": "Pioggia",
+		"Precip": "Precip.",
+		"Air Quality": "Qualità dell'aria",
+		"When": "Quando",
+		"Conditions": "Condizioni",
+		"Temperature": "Temperatura",
+		"Precipitation": "Precipitazioni",
+		"Location": "Località",
+		"Current Conditions": "Condizioni attuali",
+		"Weather Forecast": "Previsioni meteo",
+		"Weather Summary": "Riepilogo meteo",
+		"Daily forecast followed by hourly forecast, from Open-Meteo.": "Previsioni giornaliere seguite dalle previsioni orarie, da Open-Meteo.",
+		"Weather data by Open-Meteo.com": "Dati meteo di Open-Meteo.com",
+		"Damaging gusts": "Raffiche dannose",
+		"Very high UV": "UV molto elevati",
+		"Extreme UV": "UV estremi",
+		"Heavy snow": "Forte nevicata",
+		"Heat stress": "Stress da calore",
+		"Hard freeze": "Gelata intensa",
+		"Solar": "Produzione solare",
+		"peak": "picco"
+	},
+	nl: {
+		"clear skies": "onbewolkt",
+		"clear night": "heldere nacht",
+		"mostly clear night": "overwegend heldere nacht",
+		"mostly clear": "overwegend helder",
+		"mostly cloudy": "overwegend bewolkt",
+		"overcast": "zwaar bewolkt",
+		"fog": "mist",
+		"depositing rime fog": "mist met rijp",
+		"light drizzle": "lichte motregen",
+		"moderate drizzle": "matige motregen",
+		"dense drizzle": "dichte motregen",
+		"light freezing drizzle": "lichte onderkoelde motregen",
+		"dense freezing drizzle": "dichte onderkoelde motregen",
+		"slight rain": "lichte regen",
+		"moderate rain": "matige regen",
+		"heavy rain": "zware regen",
+		"light freezing rain": "lichte ijzel",
+		"heavy freezing rain": "zware ijzel",
+		"light snow fall": "lichte sneeuwval",
+		"moderate snow fall": "matige sneeuwval",
+		"heavy snow fall": "zware sneeuwval",
+		"snow grains": "motsneeuw",
+		"light rain showers": "lichte regenbuien",
+		"moderate rain showers": "matige regenbuien",
+		"violent rain showers": "zware regenbuien",
+		"light snow showers": "lichte sneeuwbuien",
+		"heavy snow showers": "zware sneeuwbuien",
+		"thunderstorm": "onweer",
+		"thunderstorm with light hail": "onweer met lichte hagel",
+		"thunderstorm with heavy hail": "onweer met zware hagel",
+		"unknown conditions": "onbekende omstandigheden",
+		"Good": "Goed",
+		"Fair": "Redelijk",
+		"Moderate": "Matig",
+		"Poor": "Slecht",
+		"Very Poor": "Zeer slecht",
+		"Extremely Poor": "Extreem slecht",
+		"Unhealthy for Sensitive Groups": "Ongezond voor gevoelige groepen",
+		"Unhealthy": "Ongezond",
+		"Very Unhealthy": "Zeer ongezond",
+		"Hazardous": "Gevaarlijk",
+		"The air quality is good. Enjoy your usual outdoor activities.": "De luchtkwaliteit is goed. Geniet van uw gebruikelijke buitenactiviteiten.",
+		"Enjoy your usual outdoor activities.": "Geniet van uw gebruikelijke buitenactiviteiten.",
+		"Sensitive groups should consider reducing intense outdoor activities if they experience symptoms.": "Gevoelige groepen kunnen overwegen zware buitenactiviteiten te beperken als zij klachten hebben.",
+		"Consider reducing intense outdoor activities if you experience symptoms such as sore eyes, a cough or sore throat.": "Overweeg zware buitenactiviteiten te beperken als u klachten hebt zoals geïrriteerde ogen, hoesten of keelpijn.",
+		"Reduce physical activities outdoors, especially if you experience symptoms.": "Beperk lichamelijke activiteiten buiten, vooral als u klachten hebt.",
+		"Avoid physical activities outdoors.": "Vermijd lichamelijke activiteiten buiten.",
+		"Air quality is satisfactory, and air pollution poses little or no risk.": "De luchtkwaliteit is voldoende en de luchtvervuiling vormt weinig of geen risico.",
+		"Unusually sensitive people should consider reducing prolonged or heavy outdoor exertion.": "Uitzonderlijk gevoelige mensen kunnen overwegen langdurige of zware inspanning buiten te beperken.",
+		"Sensitive groups may experience health effects and should reduce prolonged or heavy outdoor exertion.": "Gevoelige groepen kunnen gezondheidseffecten ondervinden en moeten langdurige of zware inspanning buiten beperken.",
+		"Everyone may begin to experience health effects. Sensitive groups should avoid prolonged or heavy outdoor exertion.": "Iedereen kan gezondheidseffecten gaan ondervinden. Gevoelige groepen moeten langdurige of zware inspanning buiten vermijden.",
+		"Health alert: everyone may experience more serious health effects. Avoid prolonged or heavy outdoor exertion.": "Gezondheidsalarm: iedereen kan ernstigere gezondheidseffecten ondervinden. Vermijd langdurige of zware inspanning buiten.",
+		"Health warning of emergency conditions: everyone should avoid all outdoor exertion.": "Gezondheidswaarschuwing voor noodsituaties: iedereen moet elke inspanning buiten vermijden.",
+		"High": "Max",
+		"Low": "Min",
+		"Wind": "Wind",
+		"Humidity": "Luchtvochtigheid",
+		"Waves": "Golven",
+		"from": "uit",
+		"Precip chance": "Neerslagkans",
+		"below freezing": "onder nul",
+		"above freezing": "boven nul",
+		"this morning": "vanochtend",
+		"this afternoon": "vanmiddag",
+		"this evening": "vanavond",
+		"overnight": "vannacht",
+		"tomorrow morning": "morgenochtend",
+		"tomorrow afternoon": "morgenmiddag",
+		"tomorrow evening": "morgenavond",
+		"tomorrow night": "morgennacht",
+		"likely": "waarschijnlijk",
+		"possible": "mogelijk",
+		"clearing": "opklarend",
+		"from {start} to {end}": "van {start} tot {end}",
+		"from {start}": "vanaf {start}",
+		"until {end}": "tot {end}",
+		"Sunrise": "Zonsopkomst",
+		"Sunset": "Zonsondergang",
+		"Daylight": "Daglicht",
+		"calm": "windstil",
+		"light air": "zeer zwak",
+		"light breeze": "zwak",
+		"gentle breeze": "matig",
+		"moderate breeze": "vrij matig",
+		"fresh breeze": "vrij krachtig",
+		"strong breeze": "krachtig",
+		"near gale": "hard",
+		"gale": "stormachtig",
+		"strong gale": "storm",
+		"storm": "zware storm",
+		"violent storm": "zeer zware storm",
+		"hurricane force": "orkaan",
+		"feels like": "gevoelstemperatuur",
+		"gusts": "windstoten",
+		"Snow": "Sneeuw",
+		"Showers": "Buien",
+		"Rain": "Regen",
+		"Precip": "Neerslag",
+		"Air Quality": "Luchtkwaliteit",
+		"When": "Wanneer",
+		"Conditions": "Weer",
+		"Temperature": "Temperatuur",
+		"Precipitation": "Neerslag",
+		"Location": "Locatie",
+		"Current Conditions": "Huidig weer",
+		"Weather Forecast": "Weersverwachting",
+		"Weather Summary": "Weeroverzicht",
+		"Daily forecast followed by hourly forecast, from Open-Meteo.": "Dagverwachting gevolgd door uurverwachting, van Open-Meteo.",
+		"Weather data by Open-Meteo.com": "Weergegevens van Open-Meteo.com",
+		"Damaging gusts": "Zware windstoten",
+		"Very high UV": "Zeer hoge UV",
+		"Extreme UV": "Extreme UV",
+		"Heavy snow": "Zware sneeuwval",
+		"Heat stress": "Hittestress",
+		"Hard freeze": "Strenge vorst",
+		"Solar": "Zonne-opbrengst",
+		"peak": "piek"
+	}
+};
+
 // Emit a final XYWP response and exit.
 function writeExit(payload) {
 	process.stdout.write(`${JSON.stringify(payload)}\n`, () => process.exit(0));
 }
 
+// Emit an XYWP progress update (fraction from 0 to 1) while the job is running.
+function writeProgress(fraction) {
+	process.stdout.write(`${JSON.stringify({ xy: 1, progress: Math.round(fraction * 100) / 100 })}\n`);
+}
+
 // Emit an error response and exit.
 function fail(code, description) {
 	return writeExit({ xy: 1, code, description });
@@ -124,14 +913,42 @@ function normalizeList(value, fallbackList) {
 	return list;
 }
 
+// Get the base language code (e.g. `de` from `de-CH`) from job parameters, defaulting to English.
+function getLanguage(params) {
+	const text = params && params.language ? String(params.language).trim().toLowerCase() : "";
+	return text ? text.split(/[-_]/)[0] : "en";
+}
+
+// Get the Intl locale from job parameters (undefined uses the process default).
+function getLocale(params) {
+	return params && params.language ? String(params.language).trim().replace(/_/g, "-") : undefined;
+}
+
+// Translate an English phrase into the given language, falling back to English.
+function translate(language, text) {
+	const table = TRANSLATIONS[language];
+	return (table && table[text]) || text;
+}
+
 // Upper-case first letter of a string.
 function ucFirst(text) {
 	if (!text) return "";
 	return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
-// Map Open-Meteo weather codes to emoji + summary text.
-function getWeatherSummary(code) {
+// Night-time overrides for weather codes whose emoji or text imply daylight.
+const NIGHT_VARIANTS = {
+	0: { emoji: "🌙", summary: "clear night" },
+	1: { emoji: "🌙", summary: "mostly clear night" },
+	2: { emoji: "☁️" },
+	51: { emoji: "🌧️" },
+	53: { emoji: "🌧️" },
+	80: { emoji: "🌧️" }
+};
+
+// Map Open-Meteo weather codes to emoji + summary text (in the given language).
+// Pass `isDay` as 0 or false to get night-time variants (moon instead of sun).
+function getWeatherSummary(code, language, isDay) {
 	let emoji = "";
 	let summary = "";
 
@@ -167,7 +984,12 @@ function getWeatherSummary(code) {
 		default: emoji = "🌪️"; summary = "unknown conditions"; break;
 	}
 
-	const description = ucFirst(summary);
+	if ((isDay === 0 || isDay === false) && NIGHT_VARIANTS[code]) {
+		emoji = NIGHT_VARIANTS[code].emoji || emoji;
+		summary = NIGHT_VARIANTS[code].summary || summary;
+	}
+
+	const description = ucFirst(translate(language, summary));
 	return {
 		emoji,
 		description,
@@ -175,13 +997,13 @@ function getWeatherSummary(code) {
 	};
 }
 
-// Format a date string to a short weekday label in the desired timezone.
-function formatDayLabel(dateStr, timezone) {
+// Format a date string to a short weekday label in the desired timezone and locale.
+function formatDayLabel(dateStr, timezone, locale) {
 	if (!dateStr) return "";
 	const safeZone = timezone && timezone !== "auto" ? timezone : "UTC";
 	try {
 		const date = new Date(`${dateStr}T00:00:00`);
-		const formatter = new Intl.DateTimeFormat(undefined, {
+		const formatter = new Intl.DateTimeFormat(locale, {
 			weekday: "short",
 			month: "short",
 			day: "numeric",
@@ -198,13 +1020,13 @@ function formatDayLabel(dateStr, timezone) {
 	return dateStr;
 }
 
-// Format an hourly date/time label in the desired timezone.
-function formatHourLabel(dateStr, timezone) {
+// Format an hourly date/time label in the desired timezone and locale.
+function formatHourLabel(dateStr, timezone, locale) {
 	if (!dateStr) return "";
 	const safeZone = timezone && timezone !== "auto" ? timezone : "UTC";
 	try {
 		const date = new Date(dateStr);
-		const formatter = new Intl.DateTimeFormat(undefined, {
+		const formatter = new Intl.DateTimeFormat(locale, {
 			weekday: "short",
 			month: "short",
 			day: "numeric",
@@ -222,6 +1044,238 @@ function formatHourLabel(dateStr, timezone) {
 	return dateStr;
 }
 
+// Format a local ISO time (e.g. `2026-01-11T06:52`) as a short clock time in the given locale.
+// Open-Meteo times are already local to the location, so they are formatted as-is.
+// Pass `hourOnly` to drop the minutes (e.g. `2 PM`), or `withDay` to prefix the date (e.g. `Mon, Jan 12, 2 PM`).
+function formatClockTime(timeStr, locale, hourOnly, withDay) {
+	if (!timeStr) return "";
+	try {
+		const date = new Date(`${timeStr}:00Z`);
+		const formatter = new Intl.DateTimeFormat(locale, {
+			weekday: withDay ? "short" : undefined,
+			month: withDay ? "short" : undefined,
+			day: withDay ? "numeric" : undefined,
+			hour: "numeric",
+			minute: hourOnly ? undefined : "2-digit",
+			timeZone: "UTC"
+		});
+		const label = formatter.format(date);
+		if (label && label !== "Invalid Date") {
+			return label;
+		}
+	}
+	catch (err) {
+		// Ignore time parsing failures.
+	}
+	return String(timeStr).slice(11, 16);
+}
+
+// Format a duration in seconds as hours and minutes (e.g. `10h 21m`).
+function formatDuration(seconds) {
+	if (!Number.isFinite(seconds)) return "";
+	const minutes = Math.round(seconds / 60);
+	return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Determine whether an hourly time is during daylight, using the hourly `is_day` value if
+// present, otherwise the daily sunrise/sunset times (undefined if unknown).
+function getHourIsDay(data, idx) {
+	const hourly = data.hourly;
+	if (hourly.is_day && hourly.is_day[idx] !== undefined && hourly.is_day[idx] !== null) {
+		return hourly.is_day[idx];
+	}
+
+	const daily = data.daily;
+	const timeStr = hourly.time[idx];
+	if (!daily || !Array.isArray(daily.time) || !daily.sunrise || !daily.sunset || !timeStr) return undefined;
+	const dayIdx = daily.time.indexOf(String(timeStr).slice(0, 10));
+	if (dayIdx === -1 || !daily.sunrise[dayIdx] || !daily.sunset[dayIdx]) return undefined;
+
+	// Local ISO times compare correctly as strings.
+	return (timeStr >= daily.sunrise[dayIdx] && timeStr < daily.sunset[dayIdx]) ? 1 : 0;
+}
+
+// Convert a temperature in the selected unit to Fahrenheit, and back.
+function toFahrenheit(value, tempUnit) {
+	return tempUnit === "celsius" ? (value * 9 / 5) + 32 : value;
+}
+
+function fromFahrenheit(value, tempUnit) {
+	return tempUnit === "celsius" ? (value - 32) * 5 / 9 : value;
+}
+
+// Convert a wind direction in degrees to a 16-point compass label.
+function getCompassLabel(degrees) {
+	if (!Number.isFinite(degrees)) return undefined;
+	const idx = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+	return COMPASS_POINTS[idx];
+}
+
+// Get the Beaufort number for a wind speed in the selected unit.
+function getBeaufort(speed, windUnit) {
+	if (!Number.isFinite(speed)) return undefined;
+	const ms = speed * (WIND_TO_MS[windUnit] || WIND_TO_MS.mph);
+	return BEAUFORT_SCALE.findIndex((entry) => ms < entry.max);
+}
+
+// Compute the dew point (Magnus formula) in the selected temperature unit.
+function computeDewPoint(temp, humidity, tempUnit) {
+	if (!Number.isFinite(temp) || !Number.isFinite(humidity) || humidity <= 0) return undefined;
+	const celsius = (toFahrenheit(temp, tempUnit) - 32) * 5 / 9;
+	const gamma = Math.log(humidity / 100) + (17.62 * celsius) / (243.12 + celsius);
+	const dewCelsius = (243.12 * gamma) / (17.62 - gamma);
+	return roundNumber(fromFahrenheit((dewCelsius * 9 / 5) + 32, tempUnit), 1);
+}
+
+// Compute the apparent ("feels like") temperature in the selected units, using the NWS
+// wind chill formula when cold and windy, the heat index when hot, or the air temperature.
+function computeFeelsLike(temp, humidity, wind, tempUnit, windUnit) {
+	if (!Number.isFinite(temp)) return undefined;
+	const tempF = toFahrenheit(temp, tempUnit);
+	const windMph = Number.isFinite(wind) ? (wind * (WIND_TO_MS[windUnit] || WIND_TO_MS.mph)) / WIND_TO_MS.mph : 0;
+
+	let feelsF = tempF;
+	if (tempF <= 50 && windMph > 3) {
+		const factor = Math.pow(windMph, 0.16);
+		feelsF = 35.74 + (0.6215 * tempF) - (35.75 * factor) + (0.4275 * tempF * factor);
+	}
+	else if (tempF >= 80 && Number.isFinite(humidity)) {
+		feelsF = -42.379 + (2.04901523 * tempF) + (10.14333127 * humidity) -
+			(0.22475541 * tempF * humidity) - (0.00683783 * tempF * tempF) -
+			(0.05481717 * humidity * humidity) + (0.00122874 * tempF * tempF * humidity) +
+			(0.00085282 * tempF * humidity * humidity) - (0.00000199 * tempF * tempF * humidity * humidity);
+	}
+
+	return roundNumber(fromFahrenheit(feelsF, tempUnit), 1);
+}
+
+// Find the hourly index matching a given time (to the hour).
+function findHourIndex(hourly, timeStr) {
+	if (!hourly || !Array.isArray(hourly.time) || !timeStr) return -1;
+	const hour = String(timeStr).slice(0, 13);
+	return hourly.time.findIndex((time) => String(time).slice(0, 13) === hour);
+}
+
+// Merge the modern `current` block into the legacy `current_weather` shape, so existing workflows
+// keep working (e.g. `current.temperature`), while every requested current variable is also included.
+function normalizeCurrentBlock(data) {
+	if (!data || !data.current || data.current_weather) return data;
+	const current = { ...data.current };
+	const units = { ...(data.current_units || {}) };
+
+	Object.keys(LEGACY_CURRENT_KEYS).forEach((key) => {
+		const legacy = LEGACY_CURRENT_KEYS[key];
+		if (current[key] === undefined || current[legacy] !== undefined) return;
+		current[legacy] = current[key];
+		if (units[key] !== undefined) units[legacy] = units[key];
+	});
+
+	data.current_weather = current;
+	data.current_weather_units = units;
+	return data;
+}
+
+// Add derived comfort metrics to the current, hourly and daily data, in the selected units:
+// apparent temperature and dew point (unless fetched), compass labels, Beaufort numbers and gusts.
+function applyDerivedMetrics(data, params) {
+	if (!data) return data;
+	const tempUnit = getTextParam(params, "temperature_unit").toLowerCase();
+	const windUnit = getTextParam(params, "windspeed_unit").toLowerCase();
+
+	const hourly = data.hourly;
+	if (hourly && Array.isArray(hourly.time)) {
+		const units = data.hourly_units || (data.hourly_units = {});
+		const temps = hourly.temperature_2m || [];
+		const humidity = hourly.relativehumidity_2m || [];
+		const wind = hourly.windspeed_10m || [];
+
+		if (!hourly.apparent_temperature && hourly.temperature_2m) {
+			hourly.apparent_temperature = hourly.time.map((time, idx) => computeFeelsLike(temps[idx], humidity[idx], wind[idx], tempUnit, windUnit));
+			units.apparent_temperature = units.temperature_2m;
+		}
+		if (!hourly.dewpoint_2m && hourly.temperature_2m && hourly.relativehumidity_2m) {
+			hourly.dewpoint_2m = hourly.time.map((time, idx) => computeDewPoint(temps[idx], humidity[idx], tempUnit));
+			units.dewpoint_2m = units.temperature_2m;
+		}
+		if (hourly.winddirection_10m) {
+			hourly.wind_compass = hourly.winddirection_10m.map(getCompassLabel);
+		}
+		if (hourly.windspeed_10m) {
+			hourly.beaufort = hourly.windspeed_10m.map((speed) => getBeaufort(speed, windUnit));
+			units.beaufort = "Bft";
+		}
+	}
+
+	const daily = data.daily;
+	if (daily && Array.isArray(daily.time)) {
+		const units = data.daily_units || (data.daily_units = {});
+		const tempUnitLabel = units.temperature_2m_max || units.temperature_2m_min || (data.hourly_units && data.hourly_units.temperature_2m);
+
+		// Daily feels-like range and dew point come from Open-Meteo when requested, otherwise from full days of hourly data.
+		const fromHours = (key, reduce) => (hourly && hourly[key] ? aggregateHourlyByDay(hourly, key, daily.time, reduce) : undefined);
+		const dailyMetrics = [
+			["apparent_temperature_max", () => fromHours("apparent_temperature", (values) => Math.max(...values))],
+			["apparent_temperature_min", () => fromHours("apparent_temperature", (values) => Math.min(...values))],
+			["dew_point_2m_mean", () => (daily.dewpoint_2m_mean ? undefined : fromHours("dewpoint_2m", (values) => values.reduce((sum, value) => sum + value, 0) / values.length))]
+		];
+		dailyMetrics.forEach(([key, compute]) => {
+			if (daily[key]) return;
+			const values = compute();
+			if (!values || values.every((value) => value === null)) return;
+			daily[key] = values;
+			units[key] = tempUnitLabel;
+		});
+
+		if (daily.winddirection_10m_dominant) {
+			daily.wind_compass = daily.winddirection_10m_dominant.map(getCompassLabel);
+		}
+		if (daily.windspeed_10m_max) {
+			daily.beaufort = daily.windspeed_10m_max.map((speed) => getBeaufort(speed, windUnit));
+			units.beaufort = "Bft";
+		}
+	}
+
+	// Current conditions prefer the `current` variables, falling back to the matching hour.
+	const current = data.current_weather;
+	if (current) {
+		const idx = findHourIndex(hourly, current.time);
+		const fromHour = (key) => (idx > -1 && hourly[key] ? hourly[key][idx] : undefined);
+		const humidity = getCurrentHumidity(data);
+		const gusts = current.windgusts_10m ?? current.wind_gusts_10m ?? fromHour("windgusts_10m");
+
+		current.wind_compass = getCompassLabel(current.winddirection);
+		current.beaufort = getBeaufort(current.windspeed, windUnit);
+		current.beaufort_name = current.beaufort !== undefined ? BEAUFORT_SCALE[current.beaufort].name : undefined;
+		current.windgusts = gusts ?? undefined;
+		if (current.apparent_temperature === undefined) {
+			current.apparent_temperature = computeFeelsLike(current.temperature, humidity, current.windspeed, tempUnit, windUnit);
+		}
+		current.dewpoint = current.dewpoint_2m ?? current.dew_point_2m ?? computeDewPoint(current.temperature, humidity, tempUnit);
+	}
+
+	return data;
+}
+
+// Aggregate an hourly series into one value per date, using only days fully covered by the hourly data (null otherwise).
+function aggregateHourlyByDay(hourly, key, dates, reduce) {
+	return dates.map((date) => {
+		const values = hourly.time.map((time, idx) => (String(time).startsWith(date) ? hourly[key][idx] : null)).filter(Number.isFinite);
+		return values.length >= 23 ? roundNumber(reduce(values), 1) : null;
+	});
+}
+
+// Build the wind portion of a summary line, e.g. `Wind NNE 4.8 mph (light air), gusts 12 mph`.
+function formatWindPhrase(speed, compass, beaufort, gusts, windUnit, language) {
+	let phrase = `${translate(language, "Wind")} ${compass ? `${compass} ` : ""}${speed}${windUnit ? ` ${windUnit}` : ""}`;
+	if (beaufort !== undefined && BEAUFORT_SCALE[beaufort]) {
+		phrase += ` (${translate(language, BEAUFORT_SCALE[beaufort].name)})`;
+	}
+	if (Number.isFinite(gusts) && gusts > speed) {
+		phrase += `, ${translate(language, "gusts")} ${gusts}${windUnit ? ` ${windUnit}` : ""}`;
+	}
+	return phrase;
+}
+
 // Convert a unit parameter into a friendly label for summaries.
 function buildUnitLabel(paramValue, map) {
 	if (!paramValue) return "";
@@ -240,7 +1294,8 @@ function buildCurrentSummary(data, params) {
 	if (!data || !data.current_weather) return null;
 	const current = data.current_weather;
 	const units = data.current_weather_units || {};
-	const summary = getWeatherSummary(current.weathercode);
+	const language = getLanguage(params);
+	const summary = getWeatherSummary(current.weathercode, language, current.is_day);
 
 	const tempUnit = pickUnit(units.temperature, buildUnitLabel(params.temperature_unit, TEMP_UNITS));
 	const windUnit = pickUnit(units.windspeed, buildUnitLabel(params.windspeed_unit, WIND_UNITS));
@@ -250,7 +1305,14 @@ function buildCurrentSummary(data, params) {
 		line += `, ${current.temperature}${tempUnit ? ` ${tempUnit}` : ""}`;
 	}
 	if (current.windspeed !== undefined) {
-		line += `, Wind ${current.windspeed}${windUnit ? ` ${windUnit}` : ""}`;
+		line += `, ${formatWindPhrase(current.windspeed, current.wind_compass, current.beaufort, current.windgusts, windUnit, language)}`;
+	}
+	if (current.apparent_temperature !== undefined) {
+		line += `, ${translate(language, "feels like")} ${current.apparent_temperature}${tempUnit ? ` ${tempUnit}` : ""}`;
+	}
+	if (current.precipitation > 0) {
+		const precipUnit = pickUnit(units.precipitation, buildUnitLabel(params.precipitation_unit, PRECIP_UNITS));
+		line += `, ${translate(language, "Precip")} ${current.precipitation}${precipUnit ? ` ${precipUnit}` : ""}`;
 	}
 
 	return {
@@ -259,10 +1321,26 @@ function buildCurrentSummary(data, params) {
 	};
 }
 
-// Extract the current humidity from the hourly payload, if available.
+// Extract the current humidity from the current variables, or the hourly entry matching the current time.
 function getCurrentHumidity(data) {
-	if (!data || !data.hourly || !Array.isArray(data.hourly.relativehumidity_2m)) return undefined;
-	return data.hourly.relativehumidity_2m[0];
+	if (!data || !data.current_weather) return undefined;
+	const current = data.current_weather;
+	const value = current.relativehumidity_2m ?? current.relative_humidity_2m;
+	if (value !== undefined) return value;
+
+	const hourly = data.hourly;
+	const idx = findHourIndex(hourly, current.time);
+	if (idx < 0) return undefined;
+	const series = hourly.relativehumidity_2m || hourly.relative_humidity_2m;
+	return series ? series[idx] ?? undefined : undefined;
+}
+
+// Pick the most notable precipitation amount for a day (snow, then showers, then rain).
+function getDailyPrecip(daily, idx) {
+	if (daily.snowfall_sum && daily.snowfall_sum[idx] > 0) return { label: "Snow", value: daily.snowfall_sum[idx] };
+	if (daily.showers_sum && daily.showers_sum[idx] > 0) return { label: "Showers", value: daily.showers_sum[idx] };
+	if (daily.rain_sum && daily.rain_sum[idx] > 0) return { label: "Rain", value: daily.rain_sum[idx] };
+	return null;
 }
 
 // Build per-day summary lines for the daily forecast.
@@ -271,7 +1349,9 @@ function buildDailySummaries(data, params) {
 
 	const daily = data.daily;
 	const units = data.daily_units || {};
-	const timezone = params.timezone || data.timezone || "auto";
+	const timezone = getTextParam(params, "timezone");
+	const language = getLanguage(params);
+	const locale = getLocale(params);
 	const tempUnit = pickUnit(units.temperature_2m_max, buildUnitLabel(params.temperature_unit, TEMP_UNITS));
 	const precipUnit = pickUnit(units.rain_sum, buildUnitLabel(params.precipitation_unit, PRECIP_UNITS));
 	const windUnit = pickUnit(units.windspeed_10m_max, buildUnitLabel(params.windspeed_unit, WIND_UNITS));
@@ -279,42 +1359,51 @@ function buildDailySummaries(data, params) {
 	const summaries = [];
 	for (let idx = 0; idx < daily.time.length; idx++) {
 		const dateStr = daily.time[idx];
-		const label = formatDayLabel(dateStr, timezone);
+		const label = formatDayLabel(dateStr, timezone, locale);
 		const code = daily.weathercode ? daily.weathercode[idx] : null;
 		const summary = code === null || code === undefined ? {
 			emoji: "❓",
-			description: "Unknown conditions",
-			text: "Unknown conditions"
-		} : getWeatherSummary(code);
+			description: ucFirst(translate(language, "unknown conditions")),
+			text: ucFirst(translate(language, "unknown conditions"))
+		} : getWeatherSummary(code, language);
 
 		let line = `${label}: ${summary.description}`;
 
 		if (daily.temperature_2m_max && daily.temperature_2m_max[idx] !== undefined) {
-			line += `, High ${daily.temperature_2m_max[idx]}${tempUnit ? ` ${tempUnit}` : ""}`;
+			line += `, ${translate(language, "High")} ${formatSpreadValue(data, "daily", "temperature_2m_max", idx)}${tempUnit ? ` ${tempUnit}` : ""}`;
 		}
 		if (daily.temperature_2m_min && daily.temperature_2m_min[idx] !== undefined) {
-			line += `, Low ${daily.temperature_2m_min[idx]}${tempUnit ? ` ${tempUnit}` : ""}`;
+			line += `, ${translate(language, "Low")} ${formatSpreadValue(data, "daily", "temperature_2m_min", idx)}${tempUnit ? ` ${tempUnit}` : ""}`;
 		}
 
-		if (daily.snowfall_sum && daily.snowfall_sum[idx] > 0) {
-			line += `, Snow ${daily.snowfall_sum[idx]}${precipUnit ? ` ${precipUnit}` : ""}`;
-		}
-		else if (daily.showers_sum && daily.showers_sum[idx] > 0) {
-			line += `, Showers ${daily.showers_sum[idx]}${precipUnit ? ` ${precipUnit}` : ""}`;
-		}
-		else if (daily.rain_sum && daily.rain_sum[idx] > 0) {
-			line += `, Rain ${daily.rain_sum[idx]}${precipUnit ? ` ${precipUnit}` : ""}`;
+		const precip = getDailyPrecip(daily, idx);
+		if (precip) {
+			line += `, ${translate(language, precip.label)} ${precip.value}${precipUnit ? ` ${precipUnit}` : ""}`;
 		}
 
 		if (daily.windspeed_10m_max && daily.windspeed_10m_max[idx] !== undefined) {
-			line += `, Wind ${daily.windspeed_10m_max[idx]}${windUnit ? ` ${windUnit}` : ""}`;
+			const compass = daily.wind_compass ? daily.wind_compass[idx] : undefined;
+			const beaufort = daily.beaufort ? daily.beaufort[idx] : undefined;
+			const gusts = daily.windgusts_10m_max ? daily.windgusts_10m_max[idx] : undefined;
+			line += `, ${formatWindPhrase(daily.windspeed_10m_max[idx], compass, beaufort, gusts, windUnit, language)}`;
 		}
 
+		const sunrise = daily.sunrise ? formatClockTime(daily.sunrise[idx], locale) : "";
+		const sunset = daily.sunset ? formatClockTime(daily.sunset[idx], locale) : "";
+		const daylight = daily.daylight_duration ? formatDuration(daily.daylight_duration[idx]) : "";
+		if (sunrise) line += `, ${translate(language, "Sunrise")} ${sunrise}`;
+		if (sunset) line += `, ${translate(language, "Sunset")} ${sunset}`;
+		if (daylight) line += `, ${translate(language, "Daylight")} ${daylight}`;
+
 		summaries.push({
 			date: dateStr,
 			label,
 			emoji: summary.emoji,
 			description: summary.description,
+			sunrise: sunrise || undefined,
+			sunset: sunset || undefined,
+			daylight: daylight || undefined,
+			confidence: getConfidenceAt(data, "daily", idx),
 			line
 		});
 	}
@@ -328,7 +1417,9 @@ function buildHourlySummaries(data, params, limit) {
 
 	const hourly = data.hourly;
 	const units = data.hourly_units || {};
-	const timezone = params.timezone || data.timezone || "auto";
+	const timezone = getTextParam(params, "timezone");
+	const language = getLanguage(params);
+	const locale = getLocale(params);
 	const tempUnit = pickUnit(units.temperature_2m, buildUnitLabel(params.temperature_unit, TEMP_UNITS));
 	const precipUnit = pickUnit(units.precipitation, buildUnitLabel(params.precipitation_unit, PRECIP_UNITS));
 	const windUnit = pickUnit(units.windspeed_10m, buildUnitLabel(params.windspeed_unit, WIND_UNITS));
@@ -337,27 +1428,34 @@ function buildHourlySummaries(data, params, limit) {
 	const maxItems = Number.isFinite(limit) ? Math.max(0, Math.min(hourly.time.length, limit)) : hourly.time.length;
 	for (let idx = 0; idx < maxItems; idx++) {
 		const dateStr = hourly.time[idx];
-		const label = formatHourLabel(dateStr, timezone);
+		const label = formatHourLabel(dateStr, timezone, locale);
 		const code = hourly.weathercode ? hourly.weathercode[idx] : null;
+		const isDay = getHourIsDay(data, idx);
 		const summary = code === null || code === undefined ? {
 			emoji: "❓",
-			description: "Unknown conditions",
-			text: "Unknown conditions"
-		} : getWeatherSummary(code);
+			description: ucFirst(translate(language, "unknown conditions")),
+			text: ucFirst(translate(language, "unknown conditions"))
+		} : getWeatherSummary(code, language, isDay);
 
 		let line = `${label}: ${summary.description}`;
 
 		if (hourly.temperature_2m && hourly.temperature_2m[idx] !== undefined) {
-			line += `, ${hourly.temperature_2m[idx]}${tempUnit ? ` ${tempUnit}` : ""}`;
+			line += `, ${formatSpreadValue(data, "hourly", "temperature_2m", idx)}${tempUnit ? ` ${tempUnit}` : ""}`;
 		}
 		if (hourly.precipitation && hourly.precipitation[idx] !== undefined && hourly.precipitation[idx] > 0) {
-			line += `, Precip ${hourly.precipitation[idx]}${precipUnit ? ` ${precipUnit}` : ""}`;
+			line += `, ${translate(language, "Precip")} ${hourly.precipitation[idx]}${precipUnit ? ` ${precipUnit}` : ""}`;
 		}
 		if (hourly.windspeed_10m && hourly.windspeed_10m[idx] !== undefined) {
-			line += `, Wind ${hourly.windspeed_10m[idx]}${windUnit ? ` ${windUnit}` : ""}`;
+			const compass = hourly.wind_compass ? hourly.wind_compass[idx] : undefined;
+			const beaufort = hourly.beaufort ? hourly.beaufort[idx] : undefined;
+			const gusts = hourly.windgusts_10m ? hourly.windgusts_10m[idx] : undefined;
+			line += `, ${formatWindPhrase(hourly.windspeed_10m[idx], compass, beaufort, gusts, windUnit, language)}`;
+		}
+		if (hourly.apparent_temperature && hourly.apparent_temperature[idx] !== undefined && hourly.apparent_temperature[idx] !== null) {
+			line += `, ${translate(language, "feels like")} ${hourly.apparent_temperature[idx]}${tempUnit ? ` ${tempUnit}` : ""}`;
 		}
 		if (hourly.relativehumidity_2m && hourly.relativehumidity_2m[idx] !== undefined) {
-			line += `, Humidity ${hourly.relativehumidity_2m[idx]}%`;
+			line += `, ${translate(language, "Humidity")} ${hourly.relativehumidity_2m[idx]}%`;
 		}
 
 		summaries.push({
@@ -365,6 +1463,8 @@ function buildHourlySummaries(data, params, limit) {
 			label,
 			emoji: summary.emoji,
 			description: summary.description,
+			is_day: isDay,
+			confidence: getConfidenceAt(data, "hourly", idx),
 			line
 		});
 	}
@@ -372,6 +1472,158 @@ function buildHourlySummaries(data, params, limit) {
 	return summaries;
 }
 
+// Group a weather code for briefings: clear, cloudy, fog or precipitation.
+function getBriefingCategory(code) {
+	if (code === 0 || code === 1) return "clear";
+	if (code === 2 || code === 3) return "cloudy";
+	if (code === 45 || code === 48) return "fog";
+	return code >= 51 ? "precip" : "unknown";
+}
+
+// Get the briefing period name for a local time, relative to the first date of the briefing.
+function getBriefingPeriod(timeStr, firstDate) {
+	const hour = Number(String(timeStr).slice(11, 13));
+	const period = BRIEFING_PERIODS.find((entry) => hour >= entry.start && hour < entry.end);
+	const date = Date.parse(`${String(timeStr).slice(0, 10)}T00:00:00Z`);
+	const dayIdx = Math.round((date - Date.parse(`${firstDate}T00:00:00Z`)) / 86400000) + period.dayOffset;
+	if (period.name === "overnight") return dayIdx < 1 ? "overnight" : "tomorrow night";
+	return `${dayIdx < 1 ? "this" : "tomorrow"} ${period.name}`;
+}
+
+// Get a weather description for use mid-sentence (translations are lowercase-first).
+function getWeatherPhrase(code, language) {
+	const text = getWeatherSummary(code, language).description;
+	return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+// Find the most frequent value in a list (first wins on ties).
+function getMostFrequent(values) {
+	const counts = new Map();
+	values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+	let best;
+	counts.forEach((count, value) => {
+		if (best === undefined || count > counts.get(best)) best = value;
+	});
+	return best;
+}
+
+// Build a narrative briefing for the next 24 hours, split into morning, afternoon, evening and
+// overnight periods, merging similar conditions and describing precipitation by time range.
+function buildBriefing(data, params) {
+	const hourly = data && data.hourly;
+	if (!hourly || !Array.isArray(hourly.time) || !Array.isArray(hourly.weathercode)) return undefined;
+
+	const language = getLanguage(params);
+	const locale = getLocale(params);
+	const units = data.hourly_units || {};
+	const tempUnit = pickUnit(units.temperature_2m, buildUnitLabel(params.temperature_unit, TEMP_UNITS));
+	const probability = hourly.precipitation_probability;
+
+	// Start from the current hour (if known), and cover the next 24 hours.
+	const startIdx = Math.max(0, findHourIndex(hourly, data.current_weather ? data.current_weather.time : ""));
+	const hours = [];
+	for (let idx = startIdx; idx < Math.min(hourly.time.length, startIdx + 24); idx++) {
+		const code = hourly.weathercode[idx];
+		if (code === null || code === undefined) continue;
+		hours.push({ idx, time: hourly.time[idx], code, category: getBriefingCategory(code) });
+	}
+	if (!hours.length) return undefined;
+
+	const firstDate = hours[0].time.slice(0, 10);
+	hours.forEach((hour) => {
+		hour.period = getBriefingPeriod(hour.time, firstDate);
+	});
+
+	// Group hours into periods, dropping a short trailing period.
+	const periods = [];
+	hours.forEach((hour) => {
+		let period = periods[periods.length - 1];
+		if (!period || period.name !== hour.period) {
+			period = { name: hour.period, hours: [] };
+			periods.push(period);
+		}
+		period.hours.push(hour);
+	});
+	if (periods.length > 1 && periods[periods.length - 1].hours.length < 3) periods.pop();
+
+	const visible = periods.reduce((list, period) => list.concat(period.hours), []);
+	const phrases = [];
+	let lastCategory = null;
+
+	periods.forEach((period) => {
+		// Collect the dry conditions and each run of precipitation starting in this period, in time order.
+		const items = [];
+		const dryHours = period.hours.filter((hour) => hour.category !== "precip");
+		if (dryHours.length) {
+			items.push({ pos: visible.indexOf(dryHours[0]), code: getMostFrequent(dryHours.map((hour) => hour.code)) });
+		}
+		period.hours.forEach((hour) => {
+			const pos = visible.indexOf(hour);
+			if (hour.category !== "precip" || (pos > 0 && visible[pos - 1].category === "precip")) return;
+			let endPos = pos;
+			while (endPos + 1 < visible.length && visible[endPos + 1].category === "precip") endPos++;
+			items.push({ pos, endPos, run: visible.slice(pos, endPos + 1) });
+		});
+		items.sort((a, b) => a.pos - b.pos);
+
+		items.forEach((item) => {
+			// Dry conditions are only described when they change from the previous phrase.
+			if (!item.run) {
+				const category = getBriefingCategory(item.code);
+				if (category === lastCategory) return;
+				const periodText = translate(language, period.name);
+				if (category === "clear" && lastCategory) phrases.push(`${translate(language, "clearing")} ${periodText}`);
+				else phrases.push(`${getWeatherPhrase(item.code, language)} ${periodText}`);
+				lastCategory = category;
+				return;
+			}
+
+			// Precipitation is described by its most severe code and time range.
+			let phrase = getWeatherPhrase(Math.max(...item.run.map((entry) => entry.code)), language);
+			if (Array.isArray(probability)) {
+				const chance = Math.max(...item.run.map((entry) => probability[entry.idx] || 0));
+				phrase += ` ${translate(language, chance >= 60 ? "likely" : "possible")}`;
+			}
+
+			const start = formatClockTime(item.run[0].time, locale, true);
+			const end = item.endPos + 1 < visible.length ? formatClockTime(visible[item.endPos + 1].time, locale, true) : "";
+			if (item.pos > 0 && end) phrase += ` ${translate(language, "from {start} to {end}").replace("{start}", start).replace("{end}", end)}`;
+			else if (item.pos > 0) phrase += ` ${translate(language, "from {start}").replace("{start}", start)}`;
+			else if (end) phrase += ` ${translate(language, "until {end}").replace("{end}", end)}`;
+			phrases.push(phrase);
+			lastCategory = "precip";
+		});
+	});
+
+	// Close with the high and low over the same hours.
+	const temps = hourly.temperature_2m ? visible.map((hour) => hourly.temperature_2m[hour.idx]).filter(Number.isFinite) : [];
+	let text = `${ucFirst(phrases.join(", "))}.`;
+	if (temps.length) {
+		const suffix = tempUnit ? ` ${tempUnit}` : "";
+		text += ` ${translate(language, "High")} ${Math.max(...temps)}${suffix}, ${translate(language, "Low")} ${Math.min(...temps)}${suffix}.`;
+	}
+
+	return {
+		text,
+		periods: periods.map((period) => {
+			const code = getMostFrequent(period.hours.map((hour) => hour.code));
+			const summary = getWeatherSummary(code, language, hourly.is_day ? hourly.is_day[period.hours[0].idx] : undefined);
+			const periodTemps = hourly.temperature_2m ? period.hours.map((hour) => hourly.temperature_2m[hour.idx]).filter(Number.isFinite) : [];
+			return {
+				period: period.name,
+				label: translate(language, period.name),
+				start: period.hours[0].time,
+				end: period.hours[period.hours.length - 1].time,
+				emoji: summary.emoji,
+				description: summary.description,
+				precipitation: period.hours.some((hour) => hour.category === "precip"),
+				temperature_max: periodTemps.length ? Math.max(...periodTemps) : undefined,
+				temperature_min: periodTemps.length ? Math.min(...periodTemps) : undefined
+			};
+		})
+	};
+}
+
 // Trim hourly arrays to a specific length for consistent output.
 function trimHourlyData(hourly, limit) {
 	if (!hourly || !Array.isArray(hourly.time)) return hourly;
@@ -384,79 +1636,297 @@ function trimHourlyData(hourly, limit) {
 	return trimmed;
 }
 
-// Build a cache filename for postal code lookups.
-function getPostalCachePath(postalCode) {
-	const safe = String(postalCode).trim().replace(/[^\w.-]/g, "_");
-	return path.join(os.tmpdir(), `${safe}.json`);
+// Build cache options from job parameters.
+// Modes: `use` (read and write), `refresh` (write only), `bypass` (no caching).
+function getCacheOptions(params) {
+	const mode = getTextParam(params, "cache").toLowerCase();
+	const dir = params.cache_dir ? String(params.cache_dir).trim() : path.join(os.tmpdir(), "xyplug-weather-cache");
+	return {
+		mode,
+		dir,
+		ttl: {
+			forecast: getNumberParam(params, "cache_ttl_forecast"),
+			archive: getNumberParam(params, "cache_ttl_archive"),
+			marine: getNumberParam(params, "cache_ttl_forecast"),
+			solar: getNumberParam(params, "cache_ttl_forecast"),
+			air_quality: getNumberParam(params, "cache_ttl_air_quality"),
+			geocode: getNumberParam(params, "cache_ttl_geocode")
+		},
+		maxBytes: getNumberParam(params, "cache_max_mb") * 1024 * 1024
+	};
+}
+
+// Build a namespaced cache file path from the full request URL (excluding the API key).
+function getCachePath(cache, namespace, apiUrl) {
+	const url = new URL(apiUrl);
+	url.searchParams.delete("apikey");
+	const hash = crypto.createHash("sha256").update(url.toString()).digest("hex").slice(0, 32);
+	return path.join(cache.dir, `${namespace}-${hash}.json`);
 }
 
-// Resolve coordinates from a postal code via Open-Meteo geocoding (cached).
-async function resolvePostalCode(postalCode, timeoutMs, apiKey) {
-	if (!postalCode) return null;
-	const cachePath = getPostalCachePath(postalCode);
+// Read a cached response if caching is enabled and the entry is within its TTL.
+function readCache(cache, namespace, apiUrl) {
+	if (!cache || cache.mode !== "use") return undefined;
+	const ttl = cache.ttl[namespace];
+	if (!Number.isFinite(ttl) || ttl <= 0) return undefined;
 
 	try {
-		const cachedRaw = fs.readFileSync(cachePath, "utf8");
-		const cached = JSON.parse(cachedRaw);
-		const hasCoords = cached && Number.isFinite(cached.latitude) && Number.isFinite(cached.longitude);
-		const hasDetails = cached && (cached.name || cached.admin1 || cached.admin2 || cached.admin3 || cached.admin4);
-		if (hasCoords && hasDetails) {
-			return cached;
+		const entry = JSON.parse(fs.readFileSync(getCachePath(cache, namespace, apiUrl), "utf8"));
+		if (entry && entry.created && (Date.now() - entry.created) < ttl * 1000) {
+			return entry.data;
 		}
 	}
 	catch (err) {
-		// Ignore cache errors and fall back to live lookup.
+		// Ignore missing or corrupt cache entries.
+	}
+	return undefined;
+}
+
+// Write a response to the cache atomically (temp file + rename), then enforce the size limit.
+function writeCache(cache, namespace, apiUrl, data) {
+	if (!cache || cache.mode === "bypass") return;
+	const ttl = cache.ttl[namespace];
+	if (!Number.isFinite(ttl) || ttl <= 0) return;
+
+	const cachePath = getCachePath(cache, namespace, apiUrl);
+	const tempPath = `${cachePath}.${process.pid}.${Date.now()}.tmp`;
+	try {
+		fs.mkdirSync(cache.dir, { recursive: true });
+		fs.writeFileSync(tempPath, JSON.stringify({ created: Date.now(), data }));
+		fs.renameSync(tempPath, cachePath);
+	}
+	catch (err) {
+		// Ignore cache write errors.
+		try { fs.unlinkSync(tempPath); } catch (e) { /* ignore */ }
+		return;
+	}
+
+	evictCache(cache);
+}
+
+// Delete the oldest cache entries until the cache directory is under its size limit.
+function evictCache(cache) {
+	if (!Number.isFinite(cache.maxBytes) || cache.maxBytes <= 0) return;
+
+	let files;
+	try {
+		files = fs.readdirSync(cache.dir).filter((name) => name.endsWith(".json")).map((name) => {
+			const file = path.join(cache.dir, name);
+			const stats = fs.statSync(file);
+			return { file, size: stats.size, mtime: stats.mtimeMs };
+		});
+	}
+	catch (err) {
+		return;
+	}
+
+	let total = files.reduce((sum, info) => sum + info.size, 0);
+	if (total <= cache.maxBytes) return;
+
+	files.sort((a, b) => a.mtime - b.mtime);
+	for (const info of files) {
+		if (total <= cache.maxBytes) break;
+		try {
+			fs.unlinkSync(info.file);
+			total -= info.size;
+		}
+		catch (err) {
+			// Ignore files removed by a concurrent run.
+		}
+	}
+}
+
+// Fetch JSON through the cache, returning the data and whether it was a cache hit.
+// Error payloads from Open-Meteo are never cached.
+async function fetchJsonCached(cache, namespace, apiUrl, fetchOpts) {
+	const readStart = performance.now();
+	const cached = readCache(cache, namespace, apiUrl);
+	addPerf(fetchOpts.perf, "cache", readStart);
+	if (cached !== undefined) return { data: cached, cacheHit: true };
+
+	const data = await fetchJson(apiUrl, fetchOpts);
+	const hasError = Array.isArray(data) ? data.some((item) => item && item.error) : (data && data.error);
+	if (data && !hasError) {
+		const writeStart = performance.now();
+		writeCache(cache, namespace, apiUrl, data);
+		addPerf(fetchOpts.perf, "cache", writeStart);
+	}
+
+	return { data, cacheHit: false };
+}
+
+// Score a geocoding candidate against the query and admin1 filter (higher is better).
+function scoreGeoCandidate(candidate, query, filters) {
+	let score = 0;
+	if (filters.admin1) {
+		const wanted = filters.admin1.toLowerCase();
+		const admin1 = String(candidate.admin1 || "").toLowerCase();
+		if (admin1 === wanted) score += 4;
+		else if (admin1 && (admin1.startsWith(wanted) || wanted.startsWith(admin1))) score += 2;
 	}
+	if (String(candidate.name || "").toLowerCase() === query.toLowerCase()) score += 1;
+	if (Array.isArray(candidate.postcodes) && candidate.postcodes.includes(query)) score += 1;
+	return score;
+}
+
+// Summarize a geocoding candidate for the list of alternatives.
+function summarizeGeoCandidate(candidate) {
+	return {
+		name: candidate.name,
+		admin1: candidate.admin1,
+		admin2: candidate.admin2,
+		country: candidate.country,
+		country_code: candidate.country_code,
+		latitude: candidate.latitude,
+		longitude: candidate.longitude,
+		population: candidate.population
+	};
+}
+
+// Resolve a postal code or place name to coordinates via Open-Meteo geocoding (cached).
+// The filters object holds the country code, admin1 and result language.  Candidates are
+// restricted to the country code filter (if any), then ranked against the admin1 filter and
+// the query itself, with population as a tie-breaker.
+// Returns the best match (or null), any alternatives if the match is ambiguous, and whether
+// the lookup was served from cache.
+async function geocodePlace(query, filters, fetchOpts, apiKey, cache) {
+	const text = String(query || "").trim();
+	if (!text) return { geo: null, cacheHit: false };
 
+	const countryCode = filters.countryCode ? String(filters.countryCode).trim().toUpperCase() : "";
 	const geoQuery = new URLSearchParams();
-	geoQuery.set("name", String(postalCode).trim());
-	geoQuery.set("count", "1");
-	geoQuery.set("language", "en");
+	geoQuery.set("name", text);
+	geoQuery.set("count", "10");
+	geoQuery.set("language", filters.language || "en");
 	geoQuery.set("format", "json");
+	if (countryCode) geoQuery.set("countryCode", countryCode);
 	if (apiKey) geoQuery.set("apikey", apiKey);
 
 	const geoUrl = `https://geocoding-api.open-meteo.com/v1/search?${geoQuery.toString()}`;
-	const geoData = await fetchJson(geoUrl, timeoutMs);
-	if (!geoData || !Array.isArray(geoData.results) || !geoData.results.length) {
-		return null;
+	const { data: geoData, cacheHit } = await fetchJsonCached(cache, "geocode", geoUrl, fetchOpts);
+	if (!geoData || !Array.isArray(geoData.results)) {
+		return { geo: null, cacheHit };
 	}
 
-	const first = geoData.results[0];
-	const latitude = Number(first.latitude);
-	const longitude = Number(first.longitude);
-	if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-		return null;
+	const ranked = geoData.results
+		.map((candidate) => ({
+			...candidate,
+			latitude: Number(candidate.latitude),
+			longitude: Number(candidate.longitude)
+		}))
+		.filter((candidate) => Number.isFinite(candidate.latitude) && Number.isFinite(candidate.longitude))
+		.filter((candidate) => !countryCode || String(candidate.country_code || "").toUpperCase() === countryCode)
+		.map((candidate) => ({ candidate, score: scoreGeoCandidate(candidate, text, filters) }))
+		.sort((a, b) => (b.score - a.score) || ((b.candidate.population || 0) - (a.candidate.population || 0)));
+
+	if (!ranked.length) {
+		return { geo: null, cacheHit };
 	}
 
-	const result = {
-		...first,
-		latitude,
-		longitude
+	// Ambiguous if the runner-up scores the same but is in a different country or region.
+	const [best, next] = ranked;
+	const ambiguous = !!next && next.score === best.score &&
+		(next.candidate.country_code !== best.candidate.country_code || next.candidate.admin1 !== best.candidate.admin1);
+
+	return {
+		geo: best.candidate,
+		ambiguous,
+		alternatives: ambiguous ? ranked.slice(1, 6).map((item) => summarizeGeoCandidate(item.candidate)) : undefined,
+		cacheHit
 	};
+}
 
-	try {
-		fs.writeFileSync(cachePath, JSON.stringify(result));
-	}
-	catch (err) {
-		// Ignore cache write errors.
-	}
+// Identify the plugin to OpenStreetMap Nominatim, as its usage policy requires.
+const REVERSE_GEOCODE_USER_AGENT = "xyplug-weather (https://github.com/pixlcore/xyplug-weather)";
 
-	return result;
+// Minimum time between Nominatim requests (its usage policy allows one per second).
+const REVERSE_GEOCODE_INTERVAL_MS = 1000;
+
+// Earliest time the next Nominatim request may be sent.
+let nextReverseGeocodeTime = 0;
+
+// Wait for the next free Nominatim request slot.
+async function waitForReverseGeocodeSlot() {
+	const now = Date.now();
+	const wait = nextReverseGeocodeTime - now;
+	nextReverseGeocodeTime = Math.max(now, nextReverseGeocodeTime) + REVERSE_GEOCODE_INTERVAL_MS;
+	if (wait > 0) await sleep(wait);
+}
+
+// Look up the place name for coordinates via OpenStreetMap Nominatim (cached), as Open-Meteo has no reverse geocoding.
+// Returns a geo object shaped like an Open-Meteo geocoding result (or null if there is no place, e.g. at sea), and whether
+// the lookup was served from cache.
+async function reverseGeocode(latitude, longitude, language, fetchOpts, cache) {
+	const geoQuery = new URLSearchParams();
+	geoQuery.set("lat", String(latitude));
+	geoQuery.set("lon", String(longitude));
+	geoQuery.set("zoom", "10");
+	geoQuery.set("format", "jsonv2");
+	geoQuery.set("accept-language", language || "en");
+
+	const geoUrl = `https://nominatim.openstreetmap.org/reverse?${geoQuery.toString()}`;
+	if (readCache(cache, "geocode", geoUrl) === undefined) await waitForReverseGeocodeSlot();
+	// No retries, as a retry would skip the request slot (and the lookup is best-effort anyway).
+	const headers = { "User-Agent": REVERSE_GEOCODE_USER_AGENT };
+	const { data: geoData, cacheHit } = await fetchJsonCached(cache, "geocode", geoUrl, { ...fetchOpts, headers, retries: 0 });
+	const address = geoData && geoData.address;
+	if (!address) return { geo: null, cacheHit };
+
+	return {
+		geo: {
+			name: address.city || address.town || address.village || address.hamlet || address.municipality || geoData.name || undefined,
+			admin1: address.state || address.region || undefined,
+			admin2: address.county || address.state_district || undefined,
+			country: address.country || undefined,
+			country_code: address.country_code ? String(address.country_code).toUpperCase() : undefined,
+			latitude,
+			longitude
+		},
+		cacheHit
+	};
 }
 
-// Map European AQI to a simple label.
-function classifyEuropeanAqi(value) {
+// Classify an AQI value against a category table, returning its label, color and advisory.
+function classifyAqi(value, categories, language) {
 	if (value === undefined || value === null || !Number.isFinite(value)) return null;
-	if (value <= 20) return "Good";
-	if (value <= 40) return "Fair";
-	if (value <= 60) return "Moderate";
-	if (value <= 80) return "Poor";
-	if (value <= 100) return "Very Poor";
-	return "Extremely Poor";
+	const category = categories.find((entry) => value <= entry.max);
+	return {
+		value,
+		label: translate(language, category.label),
+		color: category.color,
+		advisory: translate(language, category.advisory)
+	};
+}
+
+// Map European AQI to a simple label (in the given language).
+function classifyEuropeanAqi(value, language) {
+	const category = classifyAqi(value, EUROPEAN_AQI_CATEGORIES, language);
+	return category ? category.label : null;
+}
+
+// Classify the US AQI and its per-pollutant sub-indices from a set of air quality values.
+function classifyUsAqi(values, language) {
+	const overall = classifyAqi(Number(values.us_aqi), US_AQI_CATEGORIES, language);
+	if (!overall) return null;
+
+	const pollutants = {};
+	Object.keys(values).forEach((key) => {
+		const match = key.match(/^us_aqi_(.+)$/);
+		if (!match) return;
+		const category = classifyAqi(Number(values[key]), US_AQI_CATEGORIES, language);
+		if (category) pollutants[match[1]] = { value: category.value, label: category.label, color: category.color };
+	});
+
+	return { ...overall, pollutants };
+}
+
+// Check whether coordinates fall within the European pollen forecast domain.
+function isInPollenRegion(latitude, longitude) {
+	return latitude >= 30 && latitude <= 72 && longitude >= -25 && longitude <= 45;
 }
 
-// Extract the first hourly air quality entry as "current".
-function buildAirQualityCurrent(airQualityData) {
+// Extract the first hourly air quality entry as "current", with AQI categories and advisories.
+function buildAirQualityCurrent(airQualityData, language) {
 	if (!airQualityData || !airQualityData.hourly || !Array.isArray(airQualityData.hourly.time)) return null;
 	if (!airQualityData.hourly.time.length) return null;
 
@@ -464,180 +1934,2770 @@ function buildAirQualityCurrent(airQualityData) {
 	Object.keys(airQualityData.hourly).forEach((key) => {
 		if (key === "time") return;
 		const series = airQualityData.hourly[key];
-		if (Array.isArray(series) && series.length) {
+		if (Array.isArray(series) && series.length && series[0] !== null) {
 			current[key] = series[0];
 		}
 	});
 
 	if (current.european_aqi !== undefined) {
-		const label = classifyEuropeanAqi(Number(current.european_aqi));
+		const label = classifyEuropeanAqi(Number(current.european_aqi), language);
 		if (label) current.aqi_label = label;
 	}
 
+	const european = classifyAqi(Number(current.european_aqi), EUROPEAN_AQI_CATEGORIES, language);
+	const us = classifyUsAqi(current, language);
+	if (european || us) {
+		current.categories = {
+			european: european || undefined,
+			us: us || undefined
+		};
+	}
+
 	return current;
 }
 
-// Fetch JSON from the given URL with a timeout.
-async function fetchJson(apiUrl, timeoutMs) {
-	const controller = new AbortController();
-	const timer = setTimeout(() => controller.abort(new Error("Request timed out")), timeoutMs);
-	try {
-		const response = await fetch(apiUrl, { signal: controller.signal });
-		if (!response.ok) {
-			throw new Error(`HTTP ${response.status}`);
+// Build per-day peak AQI values and categories from the hourly air quality forecast.
+function buildAirQualityDaily(hourly, language) {
+	if (!hourly || !Array.isArray(hourly.time)) return [];
+
+	const days = [];
+	const byDate = {};
+	hourly.time.forEach((time, idx) => {
+		const date = String(time).slice(0, 10);
+		if (!byDate[date]) {
+			byDate[date] = { date };
+			days.push(byDate[date]);
 		}
-		return await response.json();
+		const day = byDate[date];
+		["european_aqi", "us_aqi"].forEach((key) => {
+			const value = hourly[key] ? hourly[key][idx] : undefined;
+			if (Number.isFinite(value) && (day[key] === undefined || value > day[key])) day[key] = value;
+		});
+	});
+
+	return days.map((day) => {
+		const european = classifyAqi(day.european_aqi, EUROPEAN_AQI_CATEGORIES, language);
+		const us = classifyAqi(day.us_aqi, US_AQI_CATEGORIES, language);
+		return {
+			...day,
+			european_label: european ? european.label : undefined,
+			us_label: us ? us.label : undefined,
+			us_color: us ? us.color : undefined
+		};
+	});
+}
+
+// Remove hourly air quality series with no data (e.g. pollen outside Europe or out of season).
+function trimAirQualityHourly(hourly, limit) {
+	if (!hourly || !Array.isArray(hourly.time)) return undefined;
+	const trimmed = trimHourlyData(hourly, limit);
+	Object.keys(trimmed).forEach((key) => {
+		if (key !== "time" && Array.isArray(trimmed[key]) && trimmed[key].every((value) => value === null)) {
+			delete trimmed[key];
+		}
+	});
+	return trimmed;
+}
+
+// Build the air quality portion of the current summary line, per the selected AQI standard.
+function buildAirQualityLine(current, standard, language) {
+	const prefix = translate(language, "Air Quality");
+	const parts = [];
+
+	if ((standard === "european" || standard === "both") && current.european_aqi !== undefined) {
+		const label = current.aqi_label ? ` (${current.aqi_label})` : "";
+		parts.push(`AQI ${current.european_aqi}${label}`);
+	}
+	if ((standard === "us" || standard === "both") && current.us_aqi !== undefined) {
+		const us = current.categories && current.categories.us;
+		parts.push(`US AQI ${current.us_aqi}${us ? ` (${us.label})` : ""}`);
+	}
+	if (!parts.length && current.pm2_5 !== undefined) {
+		parts.push(`PM2.5 ${current.pm2_5}`);
+	}
+
+	return parts.length ? `${prefix} ${parts.join(", ")}` : "";
+}
+
+// Build the `air_quality` output block from an air quality response, or the error if the fetch failed.
+function buildAirQualityOutput(airQualityData, airQualityError, forecastHours, language) {
+	const current = buildAirQualityCurrent(airQualityData, language);
+	if (!current) return airQualityError ? { error: airQualityError } : undefined;
+	return {
+		current,
+		hourly: trimAirQualityHourly(airQualityData.hourly, forecastHours),
+		daily: buildAirQualityDaily(airQualityData.hourly, language),
+		units: airQualityData.hourly_units || undefined
+	};
+}
+
+// Check whether a marine payload has any wave data (inland points return only nulls).
+function hasMarineData(marineData) {
+	const hourly = marineData && marineData.hourly;
+	const daily = marineData && marineData.daily;
+	const series = (hourly && hourly.wave_height) || (daily && daily.wave_height_max) || [];
+	return series.some((value) => value !== null && value !== undefined);
+}
+
+// Build the marine portion of a summary line, e.g. `Waves 1.8 m @ 9 s from WSW`.
+function formatMarinePhrase(height, period, direction, units, language) {
+	if (height === null || height === undefined) return "";
+	let phrase = `${translate(language, "Waves")} ${height}${units.height ? ` ${units.height}` : ""}`;
+	if (period !== null && period !== undefined) phrase += ` @ ${period}${units.period ? ` ${units.period}` : ""}`;
+	const compass = getCompassLabel(direction);
+	if (compass) phrase += ` ${translate(language, "from")} ${compass}`;
+	return phrase;
+}
+
+// Append marine conditions to the hourly or daily summary lines, matched by time.
+function addMarineToSummaries(summaries, block, blockUnits, timeKey, fields, language) {
+	if (!block || !Array.isArray(block.time)) return;
+	const [heightKey, periodKey, directionKey] = fields;
+	const units = {
+		height: blockUnits ? blockUnits[heightKey] : "",
+		period: blockUnits ? blockUnits[periodKey] : ""
+	};
+	summaries.forEach((summary) => {
+		const idx = block.time.indexOf(summary[timeKey]);
+		if (idx < 0) return;
+		const value = (key) => (block[key] ? block[key][idx] : undefined);
+		const phrase = formatMarinePhrase(value(heightKey), value(periodKey), value(directionKey), units, language);
+		if (phrase) {
+			summary.line += `, ${phrase}`;
+			summary.marine = phrase;
+		}
+	});
+}
+
+// Parse a solar system, from text (e.g. `capacity: 5, tilt: 30, azimuth: 0, losses: 14`) or an object, applying defaults.
+function parseSolarSystem(value) {
+	const system = {};
+	const settings = Object.keys(SOLAR_SETTINGS);
+	const entries = (value && typeof value === "object") ? Object.keys(value).map((key) => [key, String(value[key])]) :
+		String(value || "").split(/[\n,]+/).map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+			const match = entry.match(/^(\w+)\s*[:=]\s*(\S+)$/);
+			if (!match) throw new Error(`Invalid solar setting: ${entry} (expected e.g. capacity: 5)`);
+			return [match[1], match[2]];
+		});
+
+	entries.forEach(([key, text]) => {
+		const name = key.toLowerCase();
+		const range = SOLAR_SETTINGS[name];
+		if (!range) throw new Error(`Unknown solar setting: ${key} (allowed: ${settings.join(", ")})`);
+		const number = Number(text.trim());
+		if (!Number.isFinite(number) || text.trim() === "") throw new Error(`Solar ${name} is not a number: ${text}`);
+		if (number < range.min || number > range.max) throw new Error(`Solar ${name} ${number} is out of range (allowed: ${range.min} to ${range.max})`);
+		system[name] = number;
+	});
+	if (system.capacity === undefined) throw new Error("Solar capacity is required (system size in kWp, e.g. capacity: 5)");
+
+	return settings.reduce((result, name) => {
+		result[name] = system[name] === undefined ? SOLAR_SETTINGS[name].value : system[name];
+		return result;
+	}, {});
+}
+
+// Get the start of the hour ending at a local ISO time (Open-Meteo radiation is averaged over the preceding hour).
+function getHourStart(timeStr) {
+	return new Date(Date.parse(`${timeStr}:00Z`) - 3600000).toISOString().slice(0, 16);
+}
+
+// Estimate PV production from the hourly irradiance and temperature: kWh per hour (keyed by the hour start) and per day,
+// with the peak production hour overall and for each day.  Module output is derated for cell temperatures above 25 °C.
+function estimateSolarProduction(solarData, system) {
+	const hourly = solarData && solarData.hourly;
+	if (!hourly || !Array.isArray(hourly.time)) return undefined;
+	const irradiance = hourly.global_tilted_irradiance || [];
+	const temperatures = hourly.temperature_2m || [];
+	const efficiency = 1 - system.losses / 100;
+
+	const times = hourly.time.map(getHourStart);
+	const energy = times.map((time, idx) => {
+		const gti = irradiance[idx];
+		if (gti === null || gti === undefined) return null;
+		const airTemp = temperatures[idx];
+		const cellTemp = (airTemp === null || airTemp === undefined ? 25 : airTemp) + gti * SOLAR_CELL_HEATING;
+		const derate = 1 + SOLAR_TEMP_COEFFICIENT * (cellTemp - 25);
+		return roundNumber(Math.max(0, system.capacity * (gti / 1000) * derate * efficiency), 3);
+	});
+
+	// Sum each day, and find the peak hour for the day and overall.
+	const daily = { time: [], energy: [], peak_hour: [] };
+	let peak;
+	const dayPeaks = [];
+	times.forEach((time, idx) => {
+		const value = energy[idx];
+		const date = time.slice(0, 10);
+		let day = daily.time.indexOf(date);
+		if (day < 0) {
+			day = daily.time.push(date) - 1;
+			daily.energy.push(null);
+			dayPeaks.push(null);
+		}
+		if (value === null) return;
+		daily.energy[day] = (daily.energy[day] || 0) + value;
+		if (value > 0 && (!dayPeaks[day] || value > dayPeaks[day].energy)) dayPeaks[day] = { time, energy: value };
+		if (value > 0 && (!peak || value > peak.energy)) peak = { time, energy: value };
+	});
+
+	// The first hour ends at midnight, so it belongs to the day before the forecast and is left out of the daily totals.
+	if (daily.time.length > 1 && daily.time[0] < hourly.time[0].slice(0, 10)) {
+		daily.time.shift();
+		daily.energy.shift();
+		dayPeaks.shift();
+	}
+	daily.energy = daily.energy.map((value) => (value === null ? null : roundNumber(value, 2)));
+	daily.peak_hour = dayPeaks.map((dayPeak) => (dayPeak ? dayPeak.time : null));
+
+	return {
+		system,
+		peak: peak || null,
+		total: roundNumber(daily.energy.reduce((sum, value) => sum + (value || 0), 0), 2),
+		daily,
+		hourly: {
+			time: times,
+			energy,
+			global_tilted_irradiance: irradiance,
+			temperature_2m: temperatures
+		},
+		units: {
+			energy: "kWh",
+			global_tilted_irradiance: (solarData.hourly_units && solarData.hourly_units.global_tilted_irradiance) || "W/m²",
+			temperature_2m: (solarData.hourly_units && solarData.hourly_units.temperature_2m) || "°C"
+		}
+	};
+}
+
+// Append the estimated solar production to the daily summary lines, e.g. `Solar 18.4 kWh (peak 12 PM)`.
+function addSolarToSummaries(summaries, solar, locale, language) {
+	summaries.forEach((summary) => {
+		const idx = solar.daily.time.indexOf(summary.date);
+		if (idx < 0 || solar.daily.energy[idx] === null) return;
+		const peakHour = solar.daily.peak_hour[idx];
+		let phrase = `${translate(language, "Solar")} ${roundNumber(solar.daily.energy[idx], 1)} kWh`;
+		if (peakHour) phrase += ` (${translate(language, "peak")} ${formatClockTime(peakHour, locale, true)})`;
+		summary.line += `, ${phrase}`;
+		summary.solar = solar.daily.energy[idx];
+	});
+}
+
+// HTTP status codes worth retrying: rate limits and transient server errors.
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+// Build fetch options (timeout, retry policy, logger, perf tracker and shared stats) from job parameters.
+function getFetchOptions(params, log) {
+	return {
+		log,
+		perf: createPerf(),
+		timeoutMs: getNumberParam(params, "timeout_ms"),
+		retries: Math.max(0, Math.floor(getNumberParam(params, "retries"))),
+		retryDelayMs: Math.max(0, getNumberParam(params, "retry_delay_ms")),
+		retryMaxDelayMs: Math.max(0, getNumberParam(params, "retry_max_delay_ms")),
+		stats: {
+			requests: 0,
+			attempts: 0,
+			retries: 0,
+			rate_limited: 0,
+			failures: 0,
+			elapsed_ms: 0
+		}
+	};
+}
+
+// Create a tracker for the XYWP `perf` metrics: elapsed milliseconds per stage, since the start of the job.
+function createPerf() {
+	return { start: performance.now(), stages: {} };
+}
+
+// Add the time elapsed since a start time to a perf stage.
+function addPerf(perf, stage, startTime) {
+	perf.stages[stage] = (perf.stages[stage] || 0) + (performance.now() - startTime);
+}
+
+// Run an async stage, adding its elapsed time to the perf tracker (stages may overlap when run in parallel).
+async function timeStage(perf, stage, fn) {
+	const startTime = performance.now();
+	try {
+		return await fn();
+	}
+	finally {
+		addPerf(perf, stage, startTime);
+	}
+}
+
+// Build the XYWP `perf` object, in milliseconds (rounded to 0.01).
+function getPerfMetrics(perf) {
+	const metrics = { scale: 1000, total: roundNumber(performance.now() - perf.start, 2) };
+	Object.keys(perf.stages).forEach((stage) => {
+		metrics[stage] = roundNumber(perf.stages[stage], 2);
+	});
+	return metrics;
+}
+
+// Log a diagnostic message to STDERR (captured in the xyOps job log).
+function logDebug(message) {
+	process.stderr.write(`[xyplug-weather] ${message}\n`);
+}
+
+// Strip the API key from a URL so it is safe to log.
+function redactUrl(apiUrl) {
+	const url = new URL(apiUrl);
+	if (url.searchParams.has("apikey")) url.searchParams.set("apikey", "***");
+	return url.toString();
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+function parseRetryAfter(value) {
+	if (!value) return undefined;
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+	const date = Date.parse(value);
+	return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined;
+}
+
+// Wait for the given number of milliseconds.
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Perform a single fetch attempt with a timeout, tagging errors as retryable or fatal.
+async function fetchOnce(apiUrl, timeoutMs, headers) {
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), timeoutMs);
+	try {
+		const response = await fetch(apiUrl, { signal: controller.signal, headers });
+		if (response.ok) {
+			return await response.json();
+		}
+
+		// Open-Meteo sends a JSON error body with a `reason`, which is more useful than the status alone.
+		let reason = "";
+		try {
+			const body = await response.json();
+			if (body && body.reason) reason = String(body.reason);
+		}
+		catch (err) {
+			// Ignore non-JSON error bodies.
+		}
+
+		const err = new Error(reason ? `HTTP ${response.status}: ${reason}` : `HTTP ${response.status}`);
+		err.status = response.status;
+		err.reason = reason || undefined;
+		err.retryable = RETRYABLE_STATUS.includes(response.status);
+		err.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+		throw err;
+	}
+	catch (err) {
+		if (err.status) throw err;
+		if (controller.signal.aborted) {
+			throw Object.assign(new Error("Request timed out"), { timeout: true, retryable: true });
+		}
+		// Network failures are retryable, malformed JSON is not.
+		err.retryable = !(err instanceof SyntaxError);
+		throw err;
 	}
 	finally {
 		clearTimeout(timer);
 	}
 }
 
-// Main execution flow: parse job, fetch API, build summaries, return data.
-(async () => {
-	const job = await readJob();
-	const params = job.params || {};
-	const timeoutMs = parseNumber(params.timeout_ms, 15000);
-	const apiKey = process.env.METEO_API_KEY ? String(process.env.METEO_API_KEY).trim() : "";
+// Fetch JSON from the given URL with a timeout, retrying transient failures with
+// exponential backoff and jitter, and honoring Retry-After on rate limits.
+async function fetchJson(apiUrl, opts) {
+	const { stats } = opts;
+	const maxAttempts = opts.retries + 1;
+	const safeUrl = redactUrl(apiUrl);
+	const startTime = Date.now();
+	stats.requests++;
+
+	for (let attempt = 1; ; attempt++) {
+		const attemptTime = Date.now();
+		stats.attempts++;
+		try {
+			const data = await fetchOnce(apiUrl, opts.timeoutMs, opts.headers);
+			opts.log(`GET ${safeUrl} (attempt ${attempt}/${maxAttempts}): OK in ${Date.now() - attemptTime} ms`);
+			stats.elapsed_ms += Date.now() - startTime;
+			return data;
+		}
+		catch (err) {
+			if (err.status === 429) stats.rate_limited++;
+
+			// Exponential backoff with jitter (50-100% of the computed delay), unless the server says otherwise.
+			const backoff = Math.min(opts.retryMaxDelayMs, opts.retryDelayMs * Math.pow(2, attempt - 1));
+			let delay = Math.round(backoff * (0.5 + Math.random() / 2));
+			if (err.retryAfterMs !== undefined) delay = Math.max(delay, err.retryAfterMs);
+
+			const tooLong = delay > opts.retryMaxDelayMs;
+			const willRetry = err.retryable && attempt < maxAttempts && !tooLong;
+			const message = err.message || String(err);
+			opts.log(`GET ${safeUrl} (attempt ${attempt}/${maxAttempts}): ${message}` +
+				(willRetry ? `, retrying in ${delay} ms` : (err.retryable && tooLong ? `, retry delay of ${delay} ms exceeds limit` : "")));
+
+			if (!willRetry) {
+				stats.failures++;
+				stats.elapsed_ms += Date.now() - startTime;
+				throw err;
+			}
+
+			stats.retries++;
+			await sleep(delay);
+		}
+	}
+}
+
+// Comparison operators supported by alert rules.
+const ALERT_OPERATORS = {
+	"<": (a, b) => a < b,
+	"<=": (a, b) => a <= b,
+	">": (a, b) => a > b,
+	">=": (a, b) => a >= b,
+	"==": (a, b) => a === b,
+	"=": (a, b) => a === b,
+	"!=": (a, b) => a !== b
+};
+
+// Parse a single alert rule, e.g. `Freeze: daily.temperature_2m_min < 32 within 2 days`.
+function parseAlertRule(entry) {
+	if (entry && typeof entry === "object") {
+		const text = `${entry.block}.${entry.field} ${entry.operator} ${entry.value}` +
+			(entry.within ? ` within ${entry.within} ${entry.within_unit || "days"}` : "");
+		const rule = parseAlertRule(text);
+		if (entry.label) rule.label = String(entry.label).trim();
+		return rule;
+	}
+
+	const text = String(entry).trim();
+	const match = text.match(/^(?:(.+?):\s*)?(daily|hourly|current)\.(\w+)\s*(<=|>=|==|!=|<|>|=)\s*(-?\d+(?:\.\d+)?)(?:\s+within\s+(\d+)\s*(d|days?|h|hours?))?$/i);
+	if (!match) {
+		throw new Error(`Invalid alert rule: "${text}" (expected e.g. "daily.temperature_2m_min < 32 within 2 days").`);
+	}
+
+	const [, label, block, field, operator, threshold, within, withinUnit] = match;
+	const rule = {
+		rule: text,
+		label: label ? label.trim() : "",
+		block: block.toLowerCase(),
+		field,
+		operator,
+		threshold: Number(threshold)
+	};
+
+	if (within) {
+		const amount = Number(within);
+		const inHours = withinUnit.toLowerCase().startsWith("h");
+		if (rule.block === "hourly") rule.limit = inHours ? amount : amount * 24;
+		else if (rule.block === "daily") rule.limit = inHours ? Math.ceil(amount / 24) : amount;
+	}
+
+	return rule;
+}
+
+// Parse the `alert_rules` parameter (JSON array, or one rule per line/semicolon).
+function parseAlertRules(value) {
+	if (value === undefined || value === null || value === "") return [];
+
+	let entries = value;
+	if (typeof entries === "string") {
+		const text = entries.trim();
+		if (text.startsWith("[")) {
+			try {
+				entries = JSON.parse(text);
+			}
+			catch (err) {
+				throw new Error(`Failed to parse alert rules JSON: ${err.message}`);
+			}
+		}
+		else {
+			entries = text.split(/[\n;]+/).map((line) => line.trim()).filter(Boolean);
+		}
+	}
+	if (!Array.isArray(entries)) entries = [entries];
+
+	return entries.map(parseAlertRule);
+}
+
+// Check alert rules against the forecast arrays, returning one alert per matched rule.
+function evaluateAlertRules(rules, data) {
+	const alerts = [];
+	if (!data) return alerts;
+
+	rules.forEach((rule) => {
+		const compare = ALERT_OPERATORS[rule.operator];
+		const matches = [];
+
+		if (rule.block === "current") {
+			const current = data.current_weather || {};
+			const value = current[rule.field];
+			if (Number.isFinite(value) && compare(value, rule.threshold)) {
+				matches.push({ time: current.time, value });
+			}
+		}
+		else {
+			const block = data[rule.block];
+			if (!block || !Array.isArray(block.time) || !Array.isArray(block[rule.field])) return;
+			const series = block[rule.field];
+			const maxItems = rule.limit ? Math.min(rule.limit, block.time.length) : block.time.length;
+			for (let idx = 0; idx < maxItems; idx++) {
+				const value = series[idx];
+				if (Number.isFinite(value) && compare(value, rule.threshold)) {
+					matches.push({ time: block.time[idx], value });
+				}
+			}
+		}
+
+		if (!matches.length) return;
+		const first = matches[0];
+		const prefix = rule.label ? `${rule.label}: ` : "";
+		alerts.push({
+			rule: rule.rule,
+			label: rule.label || undefined,
+			block: rule.block,
+			field: rule.field,
+			operator: rule.operator,
+			threshold: rule.threshold,
+			time: first.time,
+			value: first.value,
+			end: matches[matches.length - 1].time,
+			count: matches.length,
+			line: `${prefix}${rule.block}.${rule.field} ${rule.operator} ${rule.threshold} at ${first.time} (value ${first.value}` +
+				(matches.length > 1 ? `, ${matches.length} matches` : "") + ")"
+		});
+	});
+
+	return alerts;
+}
+
+// Add any fields referenced by alert rules to the requested daily/hourly/current lists.
+function addAlertRuleFields(rules, dailyList, hourlyList, currentList) {
+	const lists = { daily: dailyList, hourly: hourlyList, current: currentList };
+	const legacyKeys = Object.values(LEGACY_CURRENT_KEYS).concat(["time", "interval"]);
+	rules.forEach((rule) => {
+		const list = lists[rule.block];
+		if (!list || list.includes(rule.field) || DERIVED_FIELDS.includes(rule.field)) return;
+		if (rule.block === "current" && legacyKeys.includes(rule.field)) return;
+		list.push(rule.field);
+	});
+}
+
+// Describe triggered alerts and pick the job code based on the `alert_action` parameter.
+function getAlertOutcome(alerts, action) {
+	if (!alerts.length || action === "none") return { code: 0 };
+	const plural = alerts.length === 1 ? "alert" : "alerts";
+	const description = `${alerts.length} weather ${plural} triggered: ${alerts.map((alert) => alert.line).join("; ")}`;
+	return { code: action === "error" ? "alert" : "warning", description };
+}
+
+// Round a number to a fixed number of decimal places.
+function roundNumber(value, places) {
+	const factor = Math.pow(10, places);
+	return Math.round(value * factor) / factor;
+}
+
+// Check that a string is a valid calendar date in YYYY-MM-DD format.
+function isValidDate(text) {
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+	const date = new Date(`${text}T00:00:00Z`);
+	return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+}
+
+// Compute range statistics for each numeric series in a daily/hourly block.
+// Precipitation amounts also get a total; weather codes and directions are skipped.
+function buildRangeStats(block) {
+	if (!block || !Array.isArray(block.time)) return undefined;
+
+	const stats = {};
+	Object.keys(block).forEach((key) => {
+		if (key === "time" || /code|direction/.test(key)) return;
+		const series = block[key];
+		if (!Array.isArray(series)) return;
+
+		let minIdx = -1;
+		let maxIdx = -1;
+		let sum = 0;
+		let count = 0;
+		series.forEach((value, idx) => {
+			if (!Number.isFinite(value)) return;
+			if (minIdx === -1 || value < series[minIdx]) minIdx = idx;
+			if (maxIdx === -1 || value > series[maxIdx]) maxIdx = idx;
+			sum += value;
+			count++;
+		});
+		if (!count) return;
+
+		stats[key] = {
+			min: series[minIdx],
+			min_time: block.time[minIdx],
+			max: series[maxIdx],
+			max_time: block.time[maxIdx],
+			mean: roundNumber(sum / count, 2),
+			total: /(rain|showers|snowfall|precipitation)(_sum)?$/.test(key) ? roundNumber(sum, 2) : undefined,
+			count
+		};
+	});
+
+	return stats;
+}
+
+// Default fields not available from the ensemble API, dropped unless explicitly requested.
+const ENSEMBLE_UNSUPPORTED = ["showers_sum", "sunrise", "sunset", "daylight_duration", "is_day"];
+
+// Forecast-only fields not available from the archive API, dropped from the defaults in historical mode.
+const ARCHIVE_UNSUPPORTED = ["showers_sum", "showers", "precipitation_probability", "precipitation_probability_max", "precipitation_probability_min", "precipitation_probability_mean"];
+
+// Remove items from a list in place.
+function removeListItems(list, items) {
+	for (let idx = list.length - 1; idx >= 0; idx--) {
+		if (items.includes(list[idx])) list.splice(idx, 1);
+	}
+}
+
+// Confidence thresholds for model spread (standard deviation), in base units (°C, m/s, mm, %).
+const CONFIDENCE_THRESHOLDS = [
+	{ pattern: /temperature/, kind: "temperature", high: 1, medium: 2 },
+	{ pattern: /wind|gust/, kind: "wind", high: 1.5, medium: 3.5 },
+	{ pattern: /probability/, kind: "percent", high: 10, medium: 25 },
+	{ pattern: /precipitation$|_sum$|^rain$|^showers$|^snowfall$/, kind: "precip", high: 1, medium: 3 },
+	{ pattern: /humidity/, kind: "percent", high: 5, medium: 12 }
+];
+
+// Confidence levels, from best to worst.
+const CONFIDENCE_LEVELS = ["high", "medium", "low"];
+
+// Check whether a response key is a model or ensemble member variant of a field
+// (e.g. `temperature_2m_max_gfs_seamless` or `temperature_2m_member05`).
+function isModelKey(key, field, models) {
+	if (key === field) return true;
+	if (!key.startsWith(`${field}_`)) return false;
+	let suffix = `_${key.slice(field.length + 1)}_`.replace(/_member\d+_/, "_");
+	models.forEach((model) => {
+		suffix = suffix.replace(`_${model}_`, "_");
+	});
+	return suffix === "_";
+}
+
+// Get the base field name for a model-suffixed key, from the list of requested fields.
+function getModelBaseField(key, fields, models) {
+	const matches = fields.filter((field) => isModelKey(key, field, models));
+	return matches.sort((a, b) => b.length - a.length)[0];
+}
+
+// Compute the median of a list of numbers.
+function getMedian(values) {
+	const sorted = values.slice().sort((a, b) => a - b);
+	const mid = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Scale a base-unit confidence threshold to the selected units.
+function scaleConfidenceThreshold(kind, value, settings) {
+	if (kind === "temperature" && settings.temperatureUnit === "fahrenheit") return value * 1.8;
+	if (kind === "wind") return value / (WIND_TO_MS[settings.windspeedUnit] || WIND_TO_MS.mph);
+	if (kind === "precip" && settings.precipitationUnit === "inch") return value / 25.4;
+	return value;
+}
+
+// Label the confidence for a field's spread (standard deviation, or agreement share for weather codes).
+function getConfidence(field, spread, settings) {
+	if (field === "weathercode" || field === "weather_code") {
+		if (spread.agreement >= 0.75) return "high";
+		return spread.agreement >= 0.5 ? "medium" : "low";
+	}
+	const threshold = CONFIDENCE_THRESHOLDS.find((entry) => entry.pattern.test(field));
+	if (!threshold || spread.stddev === undefined) return undefined;
+	if (spread.stddev <= scaleConfidenceThreshold(threshold.kind, threshold.high, settings)) return "high";
+	return spread.stddev <= scaleConfidenceThreshold(threshold.kind, threshold.medium, settings) ? "medium" : "low";
+}
+
+// Combine the values of every model (or ensemble member) at one time step into a consensus and spread.
+function combineModelValues(field, values, settings) {
+	const numbers = values.filter((value) => typeof value === "number");
+	if (!numbers.length) return { value: values.find((value) => value !== null && value !== undefined) ?? null };
+
+	// Directions use the circular mean, and day/night flags the most common value, without a spread.
+	if (/direction/.test(field)) {
+		const sin = numbers.reduce((sum, value) => sum + Math.sin(value * Math.PI / 180), 0);
+		const cos = numbers.reduce((sum, value) => sum + Math.cos(value * Math.PI / 180), 0);
+		return { value: Math.round(((Math.atan2(sin, cos) * 180 / Math.PI) + 360) % 360) };
+	}
+	if (field === "is_day") return { value: getMostFrequent(numbers) };
+
+	// Weather codes use the most common code, as a median code is meaningless.
+	if (field === "weathercode" || field === "weather_code") {
+		const mode = getMostFrequent(numbers);
+		const spread = { agreement: roundNumber(numbers.filter((value) => value === mode).length / numbers.length, 2) };
+		return { value: mode, spread: { ...spread, confidence: getConfidence(field, spread, settings) } };
+	}
+
+	const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+	const variance = numbers.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / numbers.length;
+	const spread = {
+		min: Math.min(...numbers),
+		max: Math.max(...numbers),
+		stddev: roundNumber(Math.sqrt(variance), 2)
+	};
+	spread.confidence = getConfidence(field, spread, settings);
+	return { value: roundNumber(getMedian(numbers), 1), spread };
+}
+
+// Merge model-suffixed (or ensemble member) keys in one data block into a consensus per field,
+// replacing the block in place so the rest of the plugin sees plain field names.
+function mergeModelBlock(data, blockName, fields, settings) {
+	const block = data[blockName];
+	if (!block || !fields.length) return undefined;
+	const units = data[`${blockName}_units`] || {};
+
+	// Group the response keys by their base field.
+	const groups = {};
+	Object.keys(block).forEach((key) => {
+		if (key === "time" || key === "interval") return;
+		const field = getModelBaseField(key, fields, settings.models);
+		if (!field) return;
+		(groups[field] = groups[field] || []).push(key);
+	});
+
+	const merged = { time: block.time };
+	if (block.interval !== undefined) merged.interval = block.interval;
+	const mergedUnits = { time: units.time };
+	const spread = {};
+	const isSeries = Array.isArray(block.time);
+	let members = 0;
+
+	Object.keys(groups).forEach((field) => {
+		const keys = groups[field];
+		members = Math.max(members, keys.length);
+		mergedUnits[field] = units[keys[0]];
+		if (!isSeries) {
+			const result = combineModelValues(field, keys.map((key) => block[key]), settings);
+			merged[field] = result.value;
+			if (result.spread && keys.length > 1) spread[field] = result.spread;
+			return;
+		}
+
+		const results = block.time.map((time, idx) => combineModelValues(field, keys.map((key) => (block[key] ? block[key][idx] : null)), settings));
+		merged[field] = results.map((result) => result.value);
+		if (keys.length > 1 && results.some((result) => result.spread)) {
+			spread[field] = {};
+			["min", "max", "stddev", "agreement", "confidence"].forEach((stat) => {
+				const series = results.map((result) => (result.spread ? result.spread[stat] : undefined));
+				if (series.some((value) => value !== undefined)) spread[field][stat] = series.map((value) => value ?? null);
+			});
+		}
+	});
+
+	data[blockName] = merged;
+	data[`${blockName}_units`] = mergedUnits;
+	if (!Object.keys(spread).length) return { members, fields: spread };
+
+	// The overall confidence for each time step is the worst of its fields.
+	const result = { members, fields: spread };
+	if (isSeries) {
+		result.confidence = block.time.map((time, idx) => {
+			const levels = Object.keys(spread).map((field) => (spread[field].confidence ? spread[field].confidence[idx] : null)).filter(Boolean);
+			return levels.length ? CONFIDENCE_LEVELS[Math.max(...levels.map((level) => CONFIDENCE_LEVELS.indexOf(level)))] : null;
+		});
+	}
+	return result;
+}
+
+// Merge multi-model or ensemble responses into a consensus, returning the spread for each block.
+function mergeModelData(data, lists, settings) {
+	if (!data || data.consensus !== undefined) return data && data.consensus;
+	data.consensus = {
+		source: settings.ensemble ? "ensemble" : "models",
+		models: settings.models,
+		current: mergeModelBlock(data, "current", lists.current, settings),
+		daily: mergeModelBlock(data, "daily", lists.daily, settings),
+		hourly: mergeModelBlock(data, "hourly", lists.hourly, settings)
+	};
+	return data.consensus;
+}
+
+// Get the overall model confidence for a time step, if models are being compared.
+function getConfidenceAt(data, blockName, idx) {
+	const block = data.consensus && data.consensus[blockName];
+	return block && block.confidence ? block.confidence[idx] ?? undefined : undefined;
+}
+
+// Trim the hourly consensus series to a specific length, like the hourly data.
+function trimConsensusBlock(block, limit) {
+	if (!block || !Number.isFinite(limit)) return block;
+	const fields = {};
+	Object.keys(block.fields).forEach((field) => {
+		fields[field] = {};
+		Object.keys(block.fields[field]).forEach((stat) => {
+			fields[field][stat] = block.fields[field][stat].slice(0, limit);
+		});
+	});
+	return {
+		members: block.members,
+		confidence: block.confidence ? block.confidence.slice(0, limit) : undefined,
+		fields
+	};
+}
+
+// Format a value with its model spread as a range (e.g. `55–61`), when the models disagree.
+function formatSpreadValue(data, blockName, field, idx) {
+	const block = data[blockName];
+	const value = block[field][idx];
+	const spread = data.consensus && data.consensus[blockName] && data.consensus[blockName].fields[field];
+	if (!spread || !spread.min || !spread.max) return value;
+	const min = spread.min[idx];
+	const max = spread.max[idx];
+	if (typeof min !== "number" || typeof max !== "number" || min === max) return value;
+	return `${min}–${max}`;
+}
+
+// Parse the `report_format` parameter into table/html toggles.
+function parseReportFormat(value) {
+	const list = normalizeList(value, [getParamDefault("report_format")]).map((entry) => entry.toLowerCase());
+	const all = list.includes("all");
+	return {
+		table: all || list.includes("table"),
+		html: all || list.includes("html")
+	};
+}
+
+// Format a value with an optional unit label, or an empty string if missing.
+function formatWithUnit(value, unit) {
+	if (value === undefined || value === null || value === "") return "";
+	return `${value}${unit ? ` ${unit}` : ""}`;
+}
+
+// Escape text for safe inclusion in HTML.
+function escapeHtml(text) {
+	return String(text ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+// Build table rows (daily, then hourly) for a single location output.
+function buildReportRows(output, language) {
+	const rows = [];
+	const units = output.units || {};
+
+	const daily = output.daily;
+	if (daily && Array.isArray(daily.summaries)) {
+		const dailyUnits = units.daily || {};
+		daily.summaries.forEach((summary, idx) => {
+			const high = daily.temperature_2m_max ? daily.temperature_2m_max[idx] : undefined;
+			const low = daily.temperature_2m_min ? daily.temperature_2m_min[idx] : undefined;
+			const precip = getDailyPrecip(daily, idx);
+			rows.push([
+				summary.label,
+				summary.emoji,
+				summary.description,
+				[
+					high !== undefined ? `${translate(language, "High")} ${formatWithUnit(high, dailyUnits.temperature_2m_max)}` : "",
+					low !== undefined ? `${translate(language, "Low")} ${formatWithUnit(low, dailyUnits.temperature_2m_min)}` : ""
+				].filter(Boolean).join(", "),
+				precip ? `${translate(language, precip.label)} ${formatWithUnit(precip.value, dailyUnits.rain_sum)}` : "",
+				daily.windspeed_10m_max ? formatWithUnit(daily.windspeed_10m_max[idx], dailyUnits.windspeed_10m_max) : ""
+			]);
+		});
+	}
+
+	const hourly = output.hourly;
+	if (hourly && Array.isArray(hourly.summaries)) {
+		const hourlyUnits = units.hourly || {};
+		hourly.summaries.forEach((summary, idx) => {
+			const precip = hourly.precipitation ? hourly.precipitation[idx] : undefined;
+			rows.push([
+				summary.label,
+				summary.emoji,
+				summary.description,
+				hourly.temperature_2m ? formatWithUnit(hourly.temperature_2m[idx], hourlyUnits.temperature_2m) : "",
+				precip > 0 ? formatWithUnit(precip, hourlyUnits.precipitation) : "",
+				hourly.windspeed_10m ? formatWithUnit(hourly.windspeed_10m[idx], hourlyUnits.windspeed_10m) : ""
+			]);
+		});
+	}
+
+	return rows;
+}
+
+// Build the XYWP table payload from one or more location outputs (batch mode adds a location column).
+function buildReportTable(reports, batchMode, language) {
+	const multiple = !!batchMode;
+	const header = ["When", "", "Conditions", "Temperature", "Precipitation", "Wind"].map((text) => text && translate(language, text));
+	const rows = [];
+
+	reports.forEach(({ key, output }) => {
+		buildReportRows(output, language).forEach((row) => {
+			rows.push(multiple ? [key, ...row] : row);
+		});
+	});
+
+	return {
+		title: translate(language, "Weather Forecast"),
+		header: multiple ? [translate(language, "Location"), ...header] : header,
+		rows,
+		caption: translate(language, "Daily forecast followed by hourly forecast, from Open-Meteo.")
+	};
+}
+
+// Get a display name for a location output.
+function getLocationDisplayName(key, location) {
+	if (!location) return key || "";
+	const parts = [location.name, location.admin1].filter(Boolean);
+	if (location.label) return parts.length ? `${location.label} (${parts.join(", ")})` : location.label;
+	if (parts.length) return parts.join(", ");
+	return key || `${location.latitude}, ${location.longitude}`;
+}
+
+// Build the XYWP html payload: a current-conditions card plus daily lines, per location.
+function buildReportHtml(reports, language) {
+	const cards = reports.map(({ key, output }) => {
+		const name = escapeHtml(getLocationDisplayName(key, output.location));
+		if (output.error) {
+			return `<div style="margin-bottom:16px;"><h3>${name}</h3><p>⚠️ ${escapeHtml(output.error)}</p></div>`;
+		}
+
+		let html = `<div style="margin-bottom:16px;"><h3>${name}</h3>`;
+		if (output.current && output.current.summary) {
+			html += `<div style="display:flex; align-items:center; gap:12px; padding:12px; border:1px solid rgba(128,128,128,0.3); border-radius:8px;">` +
+				`<div style="font-size:48px; line-height:1;">${escapeHtml(output.current.emoji)}</div>` +
+				`<div><div style="font-weight:bold;">${escapeHtml(translate(language, "Current Conditions"))}</div><div>${escapeHtml(output.current.summary)}</div></div>` +
+				`</div>`;
+		}
+		if (output.briefing && output.briefing.text) {
+			html += `<p>${escapeHtml(output.briefing.text)}</p>`;
+		}
+		if (output.daily && Array.isArray(output.daily.summaries) && output.daily.summaries.length) {
+			html += "<ul>" + output.daily.summaries.map((summary) => {
+				return `<li>${escapeHtml(summary.emoji)} ${escapeHtml(summary.line)}</li>`;
+			}).join("") + "</ul>";
+		}
+		return html + "</div>";
+	});
+
+	return {
+		title: translate(language, "Weather Summary"),
+		content: cards.join("\n"),
+		caption: translate(language, "Weather data by Open-Meteo.com")
+	};
+}
+
+// Add the requested table/html report payloads to the final XYWP response.
+function addReports(payload, reports, reportFormat, batchMode, language) {
+	const valid = reports.filter(({ output }) => !output.error);
+	if (reportFormat.table && valid.length) payload.table = buildReportTable(valid, batchMode, language);
+	if (reportFormat.html && reports.length) payload.html = buildReportHtml(reports, language);
+	return payload;
+}
+
+// Parse the `export` parameter into a set of enabled file formats.
+function parseExportFormats(value) {
+	const list = normalizeList(value === undefined || value === "" ? getParamDefault("export") : value, []).map((item) => item.toLowerCase());
+	if (list.includes("all")) return { csv: true, ics: true };
+	const unknown = list.find((item) => !["csv", "ics", "none"].includes(item));
+	if (unknown) throw new Error(`Unknown export format: ${unknown} (expected csv, ics, all or none).`);
+	return { csv: list.includes("csv"), ics: list.includes("ics") };
+}
+
+// Escape a value for a CSV cell.
+function escapeCsv(value) {
+	if (value === null || value === undefined) return "";
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build a CSV file from a data block: a header row, a units row, then one row per time step.
+function buildCsv(block, units, timezone) {
+	const fields = Object.keys(block).filter((key) => key !== "summaries" && Array.isArray(block[key]));
+	const rows = [
+		fields,
+		fields.map((field) => (field === "time" ? `iso8601 (${timezone})` : (units && units[field]) || ""))
+	];
+	block.time.forEach((time, idx) => {
+		rows.push(fields.map((field) => block[field][idx]));
+	});
+	return rows.map((row) => row.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+}
+
+// Escape text for an iCalendar property value.
+function escapeIcs(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Fold an iCalendar content line to 75 octets, per RFC 5545 (without splitting UTF-8 characters).
+function foldIcsLine(line) {
+	const parts = [];
+	let current = "";
+	for (const char of line) {
+		const limit = parts.length ? 74 : 75;
+		if (Buffer.byteLength(current + char) > limit) {
+			parts.push(current);
+			current = "";
+		}
+		current += char;
+	}
+	parts.push(current);
+	return parts.join("\r\n ");
+}
+
+// Build an iCalendar feed with one all-day event per day, titled with the daily summary emoji and line.
+function buildIcs(key, output) {
+	const name = getLocationDisplayName(key, output.location);
+	const slug = String(key || "location").replace(/[^\w.-]+/g, "_");
+	const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		"PRODID:-//pixlcore//xyplug-weather//EN",
+		"CALSCALE:GREGORIAN",
+		"METHOD:PUBLISH",
+		`X-WR-CALNAME:${escapeIcs(`Weather: ${name}`)}`,
+		`X-WR-TIMEZONE:${escapeIcs(output.location.timezone || "UTC")}`
+	];
+
+	(output.daily ? output.daily.summaries : []).forEach((summary) => {
+		const start = summary.date.replace(/-/g, "");
+		const end = new Date(Date.parse(`${summary.date}T00:00:00Z`) + 86400000).toISOString().slice(0, 10).replace(/-/g, "");
+		lines.push(
+			"BEGIN:VEVENT",
+			`UID:${start}-${slug}@xyplug-weather`,
+			`DTSTAMP:${stamp}`,
+			`DTSTART;VALUE=DATE:${start}`,
+			`DTEND;VALUE=DATE:${end}`,
+			`SUMMARY:${escapeIcs(`${summary.emoji} ${summary.line}`)}`,
+			`DESCRIPTION:${escapeIcs(summary.line)}`,
+			"TRANSP:TRANSPARENT",
+			"END:VEVENT"
+		);
+	});
+
+	lines.push("END:VCALENDAR");
+	return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// Write the export files for each location, returning their paths for the XYWP `files` array.
+// In batch mode, file names are prefixed with the location key.
+function writeExportFiles(reports, formats, exportDir, batchMode) {
+	const files = [];
+	fs.mkdirSync(exportDir, { recursive: true });
+
+	reports.filter(({ output }) => !output.error).forEach(({ key, output }) => {
+		const prefix = batchMode ? `${String(key).replace(/[^\w.-]+/g, "_")}-` : "";
+		const timezone = output.location.timezone || "UTC";
+		const write = (name, content) => {
+			const file = path.join(exportDir, `${prefix}${name}`);
+			fs.writeFileSync(file, content);
+			files.push(file);
+		};
+
+		if (formats.csv && output.hourly) write("hourly.csv", buildCsv(output.hourly, output.units.hourly, timezone));
+		if (formats.csv && output.daily) write("daily.csv", buildCsv(output.daily, output.units.daily, timezone));
+		if (formats.ics && output.daily) write("forecast.ics", buildIcs(key, output));
+	});
+
+	return files;
+}
+
+// Write the requested export files and attach them to the payload, or report an export error.
+function addExportFiles(payload, reports, settings, batchMode) {
+	const formats = settings.exportFormats;
+	if (!formats.csv && !formats.ics) return payload;
+	try {
+		payload.files = writeExportFiles(reports, formats, settings.exportDir, batchMode);
+	}
+	catch (err) {
+		return { ...payload, code: "export", description: `Failed to write export files: ${err.message}` };
+	}
+	return payload;
+}
+
+// Describe a fetch failure in a user-friendly way.
+function describeFetchError(err, prefix) {
+	if (err && (err.timeout || err.name === "AbortError")) return `${prefix} timed out.`;
+	return `${prefix} failed: ${(err && err.message) || err}`;
+}
+
+// Run an async mapper over a list with limited concurrency, preserving order.
+async function mapLimit(items, limit, mapper) {
+	const results = new Array(items.length);
+	let next = 0;
+	const worker = async () => {
+		while (next < items.length) {
+			const idx = next++;
+			results[idx] = await mapper(items[idx], idx);
+		}
+	};
+	const count = Math.max(1, Math.min(items.length, Math.floor(limit) || 1));
+	await Promise.all(Array.from({ length: count }, worker));
+	return results;
+}
+
+// Parse a single location entry (string or object) into a location spec.
+// Strings are formatted as `[label =] postal_code` or `[label =] latitude, longitude`.
+function parseLocationEntry(entry) {
+	if (entry && typeof entry === "object") {
+		return {
+			label: entry.label ? String(entry.label).trim() : "",
+			postal_code: entry.postal_code ? String(entry.postal_code).trim() : "",
+			location_query: entry.location_query ? String(entry.location_query).trim() : "",
+			country_code: entry.country_code ? String(entry.country_code).trim() : "",
+			admin1: entry.admin1 ? String(entry.admin1).trim() : "",
+			latitude: parseNumber(entry.latitude, NaN),
+			longitude: parseNumber(entry.longitude, NaN),
+			solar: entry.solar ? parseSolarSystem(entry.solar) : undefined,
+			location: entry.location ? String(entry.location).trim() : ""
+		};
+	}
+
+	let text = String(entry).trim();
+	let label = "";
+	const eqIdx = text.indexOf("=");
+	if (eqIdx > -1) {
+		label = text.slice(0, eqIdx).trim();
+		text = text.slice(eqIdx + 1).trim();
+	}
+
+	const coords = text.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+	if (coords) {
+		return { label, postal_code: "", latitude: Number(coords[1]), longitude: Number(coords[2]) };
+	}
+	return { label, postal_code: text, latitude: NaN, longitude: NaN };
+}
+
+// Parse the `locations` parameter (JSON array, or one entry per line/semicolon) into specs.
+function parseLocationList(value) {
+	if (value === undefined || value === null || value === "") return [];
+
+	let entries = value;
+	if (typeof entries === "string") {
+		const text = entries.trim();
+		if (text.startsWith("[")) {
+			try {
+				entries = JSON.parse(text);
+			}
+			catch (err) {
+				throw new Error(`Failed to parse locations JSON: ${err.message}`);
+			}
+		}
+		else {
+			entries = text.split(/[\n;]+/).map((line) => line.trim()).filter(Boolean);
+		}
+	}
+	if (!Array.isArray(entries)) entries = [entries];
+
+	return entries.map(parseLocationEntry);
+}
+
+// Build a unique output key for each location spec (label, postal code, saved location alias or coordinates).
+function assignLocationKeys(specs) {
+	const seen = {};
+	specs.forEach((spec) => {
+		let key = spec.label || spec.postal_code || spec.location_query || spec.location || `${spec.latitude},${spec.longitude}`;
+		if (seen[key]) {
+			seen[key]++;
+			key = `${key} (${seen[key]})`;
+		}
+		else {
+			seen[key] = 1;
+		}
+		spec.key = key;
+	});
+	return specs;
+}
+
+// Fields a saved location may set: the place (and its solar system), plus settings applied to jobs that use it.
+const SAVED_LOCATION_FIELDS = ["label", "postal_code", "location_query", "country_code", "admin1", "latitude", "longitude", "solar", "timezone", "units", "temperature_unit", "windspeed_unit", "precipitation_unit", "language"];
+
+// Saved location settings that are checked like (and replace) the job parameters of the same name.
+const SAVED_LOCATION_SETTINGS = ["timezone", "temperature_unit", "windspeed_unit", "precipitation_unit", "language"];
+
+// Unit presets for saved locations and the `--units` CLI flag.
+const UNIT_PRESETS = {
+	imperial: { temperature_unit: "fahrenheit", windspeed_unit: "mph", precipitation_unit: "inch" },
+	metric: { temperature_unit: "celsius", windspeed_unit: "kmh", precipitation_unit: "mm" }
+};
+
+// Saved location fields that are always text, so a YAML `postal_code: 02134` keeps its leading zero.
+const SAVED_LOCATION_TEXT_FIELDS = ["label", "postal_code", "location_query", "admin1"];
+
+// Parse a YAML scalar: quoted strings, booleans, null and numbers, otherwise plain text (or always text, if `asText` is set).
+function parseYamlScalar(text, asText) {
+	if (/^"(?:[^"\\]|\\.)*"$/.test(text)) return JSON.parse(text);
+	if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+	if (asText) return text;
+	if (/^(true|false)$/i.test(text)) return text.toLowerCase() === "true";
+	if (/^(null|~)$/.test(text)) return null;
+	if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return Number(text);
+	return text;
+}
+
+// Parse the YAML subset used by locations files: nested `key: value` mappings with scalar values and `#` comments.
+// Values of the optional `textKeys` are kept as text.
+function parseSimpleYaml(text, textKeys) {
+	const root = {};
+	const stack = [{ indent: -1, value: root }];
+	let previous = null;
+	text.split(/\r?\n/).forEach((raw, idx) => {
+		const line = raw.replace(/^((?:[^"'#]|"(?:[^"\\]|\\.)*"|'[^']*')*?)\s*(?:^|\s)#.*$/, "$1").trimEnd();
+		if (!line.trim() || line.trim() === "---") return;
+		if (/^\s*\t/.test(line)) throw new Error(`Line ${idx + 1}: indent with spaces, not tabs`);
+
+		const indent = line.search(/\S/);
+		const match = line.trim().match(/^("(?:[^"\\]|\\.)*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+		if (!match) throw new Error(`Line ${idx + 1}: expected "key: value"`);
+		if (previous && !previous.mapping && indent > previous.indent) throw new Error(`Line ${idx + 1}: unexpected indentation`);
+
+		while (indent <= stack[stack.length - 1].indent) stack.pop();
+		const parent = stack[stack.length - 1].value;
+		const key = /^["']/.test(match[1]) ? parseYamlScalar(match[1]) : match[1];
+		const mapping = match[2] === undefined || match[2] === "";
+		parent[key] = mapping ? {} : parseYamlScalar(match[2], (textKeys || []).includes(key));
+		if (mapping) stack.push({ indent, value: parent[key] });
+		previous = { indent, mapping };
+	});
+	return root;
+}
+
+// Get the saved locations file path from the `locations_file` parameter or the `WEATHER_LOCATIONS_FILE` environment variable.
+function getLocationsFile(params) {
+	return String(params.locations_file || process.env.WEATHER_LOCATIONS_FILE || "").trim();
+}
+
+// Normalize and check a saved location, returning its alias, location spec and job settings.
+function normalizeSavedLocation(alias, entry) {
+	const fail = (message) => {
+		throw new Error(`Saved location "${alias}": ${message}`);
+	};
+	if (!entry || typeof entry !== "object" || Array.isArray(entry)) fail("expected an object of settings");
+	Object.keys(entry).filter((key) => !SAVED_LOCATION_FIELDS.includes(key)).forEach((key) => {
+		fail(`unknown field "${key}" (allowed: ${SAVED_LOCATION_FIELDS.join(", ")})`);
+	});
+
+	let spec;
+	try {
+		spec = { ...parseLocationEntry(entry), alias };
+	}
+	catch (err) {
+		fail(err.message);
+	}
+	delete spec.location;
+	if (!spec.label) spec.label = alias;
+	const hasCoords = Number.isFinite(spec.latitude) && Number.isFinite(spec.longitude);
+	if (!spec.postal_code && !spec.location_query && !hasCoords) fail("set a postal_code, location_query or latitude and longitude");
+	if (hasCoords && (Math.abs(spec.latitude) > 90 || Math.abs(spec.longitude) > 180)) {
+		fail(`${spec.latitude}, ${spec.longitude} is out of range (latitude -90 to 90, longitude -180 to 180)`);
+	}
+
+	const settings = {};
+	if (entry.units !== undefined) {
+		const preset = UNIT_PRESETS[String(entry.units).trim().toLowerCase()];
+		if (!preset) fail(`unknown units "${entry.units}" (allowed: ${Object.keys(UNIT_PRESETS).join(", ")})`);
+		Object.assign(settings, preset);
+	}
+	SAVED_LOCATION_SETTINGS.filter((id) => entry[id] !== undefined).forEach((id) => {
+		const problems = checkParam(PARAM_SCHEMA.find((item) => item.id === id), entry[id], {});
+		if (problems.length) fail(problems.join("; "));
+		settings[id] = String(entry[id]).trim();
+	});
+
+	return { alias, spec, settings };
+}
+
+// Load a saved locations file (JSON, or YAML for `.yaml` and `.yml` files) mapping aliases to locations, keyed by lower-case alias.
+function loadLocationRegistry(file) {
+	let text;
+	try {
+		text = fs.readFileSync(file, "utf8");
+	}
+	catch (err) {
+		throw new Error(`Failed to read locations file ${file}: ${err.message}`);
+	}
+
+	let doc;
+	try {
+		doc = /\.ya?ml$/i.test(file) ? parseSimpleYaml(text, SAVED_LOCATION_TEXT_FIELDS) : JSON.parse(text);
+	}
+	catch (err) {
+		throw new Error(`Failed to parse locations file ${file}: ${err.message}`);
+	}
+	if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+		throw new Error(`Locations file ${file} must map each location alias to its settings`);
+	}
+
+	const registry = {};
+	Object.keys(doc).forEach((alias) => {
+		registry[alias.toLowerCase()] = normalizeSavedLocation(alias, doc[alias]);
+	});
+	return registry;
+}
+
+// Load the saved locations registry for a job, or an empty one if no locations file is set.
+function getLocationRegistry(params) {
+	const file = getLocationsFile(params);
+	return file ? loadLocationRegistry(file) : {};
+}
+
+// Get a saved location by alias (case-insensitive), or null if there is none.
+function getSavedLocation(registry, alias) {
+	return registry[String(alias).trim().toLowerCase()] || null;
+}
+
+// Suggest the closest saved location alias for an unknown one, if any is close enough.
+function suggestSavedLocation(registry, alias) {
+	const text = String(alias).trim().toLowerCase();
+	return Object.keys(registry).reduce((best, candidate) => {
+		const distance = getEditDistance(text, candidate);
+		return distance < best.distance ? { alias: registry[candidate].alias, distance } : best;
+	}, { alias: "", distance: Math.max(2, Math.floor(text.length / 4)) + 1 }).alias;
+}
+
+// Find a saved location by alias (case-insensitive), throwing with a suggestion if it is unknown.
+function findSavedLocation(registry, alias) {
+	const site = getSavedLocation(registry, alias);
+	if (site) return site;
+
+	if (!Object.keys(registry).length) throw new Error(`unknown saved location "${alias}" (no locations file is set: use locations_file or the WEATHER_LOCATIONS_FILE environment variable)`);
+	const suggestion = suggestSavedLocation(registry, alias);
+	throw new Error(`unknown saved location "${alias}"${suggestion ? ` (did you mean ${suggestion}?)` : ""}`);
+}
+
+// Replace a `locations` entry naming a saved location (`{ "location": "hq" }`, or a bare alias) with the saved spec,
+// keeping the entry's own label.  An unknown alias is kept as the entry's `error`, and other entries are returned as is.
+function applySavedLocationSpec(spec, registry) {
+	let site;
+	if (spec.location) {
+		try {
+			site = findSavedLocation(registry, spec.location);
+		}
+		catch (err) {
+			return { ...spec, error: err.message };
+		}
+	}
+	else if (spec.postal_code) site = registry[spec.postal_code.toLowerCase()];
+	return site ? { ...site.spec, label: spec.label || site.spec.label } : spec;
+}
+
+// Resolve a location spec to coordinates, geocoding postal codes and place names as needed.
+async function resolveLocation(spec, fetchOpts, apiKey, cache) {
+	if (spec.error) throw Object.assign(new Error(spec.error), { code: "params" });
+	const query = spec.postal_code || spec.location_query;
+	if (query) {
+		const kind = spec.postal_code ? "postal code" : "location query";
+		const filters = { countryCode: spec.country_code, admin1: spec.admin1, language: spec.language };
+		let result;
+		try {
+			result = await geocodePlace(query, filters, fetchOpts, apiKey, cache);
+		}
+		catch (err) {
+			throw Object.assign(new Error(describeFetchError(err, "Geocoding request")), { code: "http" });
+		}
+		if (!result.geo) {
+			const where = spec.country_code ? ` in country ${String(spec.country_code).toUpperCase()}` : "";
+			throw Object.assign(new Error(`Failed to resolve ${kind}${where} to coordinates.`), { code: "params" });
+		}
+		return {
+			latitude: result.geo.latitude,
+			longitude: result.geo.longitude,
+			geo: result.geo,
+			ambiguous: result.ambiguous,
+			alternatives: result.alternatives,
+			geocodeCacheHit: result.cacheHit
+		};
+	}
+
+	if (!Number.isFinite(spec.latitude) || !Number.isFinite(spec.longitude)) {
+		throw Object.assign(new Error("Provide a postal code, a location query or a numeric latitude/longitude pair."), { code: "params" });
+	}
+	if (Math.abs(spec.latitude) > 90 || Math.abs(spec.longitude) > 180) {
+		throw Object.assign(new Error("Latitude must be within -90 to 90, and longitude within -180 to 180."), { code: "params" });
+	}
+	if (!spec.reverseGeocode) return { latitude: spec.latitude, longitude: spec.longitude, geo: null };
+
+	// Name the place for plain coordinates, but never fail the job over it.
+	try {
+		const result = await reverseGeocode(spec.latitude, spec.longitude, spec.language, fetchOpts, cache);
+		return { latitude: spec.latitude, longitude: spec.longitude, geo: result.geo, geocodeCacheHit: result.cacheHit };
+	}
+	catch (err) {
+		fetchOpts.log(describeFetchError(err, "Reverse geocoding request"));
+		return { latitude: spec.latitude, longitude: spec.longitude, geo: null };
+	}
+}
+
+// Fetch an Open-Meteo endpoint for many coordinates in a single (cached) request.
+// Returns one response object per coordinate pair, in order, and the cache hit flag.
+async function fetchBatch(baseUrl, entries, query, fetchOpts, cache, namespace) {
+	const batchQuery = new URLSearchParams(query);
+	batchQuery.set("latitude", entries.map((entry) => String(entry.latitude)).join(","));
+	batchQuery.set("longitude", entries.map((entry) => String(entry.longitude)).join(","));
+
+	const { data: payload, cacheHit } = await fetchJsonCached(cache, namespace, `${baseUrl}?${batchQuery.toString()}`, fetchOpts);
+
+	// Open-Meteo returns an array for multiple coordinates, or a single object (including errors).
+	const results = Array.isArray(payload) ? payload : entries.map(() => payload);
+	return { results, cacheHit };
+}
+
+// Fetch air quality data for resolved entries in one request, setting each entry's data or error (never throws).
+async function fetchAirQuality(entries, settings, fetchOpts, apiKey) {
+	// Pollen is only requested if at least one location is within the supported region.
+	const airHourly = DEFAULT_AIR_QUALITY_HOURLY.slice();
+	if (settings.includePollen && entries.some((entry) => isInPollenRegion(entry.latitude, entry.longitude))) {
+		airHourly.push(...POLLEN_HOURLY);
+	}
+
+	const airQuery = new URLSearchParams();
+	airQuery.set("hourly", airHourly.join(","));
+	airQuery.set("timezone", settings.timezone || "auto");
+	airQuery.set("forecast_hours", String(Number.isFinite(settings.forecastHours) ? Math.max(1, settings.forecastHours) : 24));
+	if (apiKey) airQuery.set("apikey", apiKey);
+
+	try {
+		const airUrl = "https://air-quality-api.open-meteo.com/v1/air-quality";
+		const { results, cacheHit } = await fetchBatch(airUrl, entries, airQuery, fetchOpts, settings.cache, "air_quality");
+		entries.forEach((entry, idx) => {
+			entry.airQualityCacheHit = cacheHit;
+			const airQualityData = results[idx];
+			if (airQualityData && airQualityData.error) {
+				entry.airQualityError = airQualityData.reason || "Open-Meteo returned an air quality error.";
+			}
+			else {
+				entry.airQualityData = airQualityData;
+			}
+		});
+	}
+	catch (err) {
+		const airQualityError = describeFetchError(err, "Air quality request");
+		entries.forEach((entry) => {
+			entry.airQualityError = airQualityError;
+		});
+	}
+}
+
+// Fetch the forecast (or archive) data for resolved entries in one request, setting each entry's data or error (never throws).
+async function fetchForecast(entries, apiUrl, query, fetchOpts, settings) {
+	try {
+		const namespace = settings.mode === "historical" ? "archive" : "forecast";
+		const { results, cacheHit } = await fetchBatch(apiUrl, entries, query, fetchOpts, settings.cache, namespace);
+		entries.forEach((entry, idx) => {
+			entry.forecastCacheHit = cacheHit;
+			const data = results[idx];
+			if (!data || data.error) {
+				entry.error = (data && data.reason) || "Open-Meteo returned an error.";
+				entry.errorCode = "api";
+			}
+			else {
+				entry.data = data;
+			}
+		});
+	}
+	catch (err) {
+		entries.forEach((entry) => {
+			entry.error = describeFetchError(err, "Request");
+			entry.errorCode = "http";
+		});
+	}
+}
+
+// Fetch marine data for resolved entries, setting each entry's data or error (never throws).
+async function fetchMarine(entries, settings, fetchOpts, apiKey) {
+	const marineQuery = new URLSearchParams();
+	marineQuery.set("hourly", DEFAULT_MARINE_HOURLY.join(","));
+	marineQuery.set("daily", DEFAULT_MARINE_DAILY.join(","));
+	marineQuery.set("cell_selection", "sea");
+	marineQuery.set("length_unit", settings.precipitationUnit === "inch" ? "imperial" : "metric");
+	marineQuery.set("timezone", settings.timezone || "auto");
+	if (Number.isFinite(settings.forecastDays)) marineQuery.set("forecast_days", String(settings.forecastDays));
+	// Start the hourly data at the current hour, like the forecast.
+	if (Number.isFinite(settings.forecastHours)) marineQuery.set("forecast_hours", String(Math.max(1, settings.forecastHours)));
+	if (apiKey) marineQuery.set("apikey", apiKey);
+
+	const marineUrl = "https://marine-api.open-meteo.com/v1/marine";
+	const applyMarine = (entry, marineData, cacheHit) => {
+		entry.marineCacheHit = cacheHit;
+		if (marineData && marineData.error) {
+			entry.marineError = marineData.reason || "Open-Meteo returned a marine error.";
+		}
+		else if (!hasMarineData(marineData)) {
+			entry.marineError = "No marine data is available for this location (it may be inland).";
+		}
+		else {
+			entry.marineData = marineData;
+		}
+	};
+
+	try {
+		const { results, cacheHit } = await fetchBatch(marineUrl, entries, marineQuery, fetchOpts, settings.cache, "marine");
+		entries.forEach((entry, idx) => applyMarine(entry, results[idx], cacheHit));
+	}
+	catch (err) {
+		// A single inland point can fail the whole batch, so retry each location on its own.
+		if (entries.length > 1 && err.status === 400) {
+			await mapLimit(entries, settings.concurrency, async (entry) => {
+				try {
+					const { results, cacheHit } = await fetchBatch(marineUrl, [entry], marineQuery, fetchOpts, settings.cache, "marine");
+					applyMarine(entry, results[0], cacheHit);
+				}
+				catch (entryErr) {
+					entry.marineError = describeFetchError(entryErr, "Marine request");
+				}
+			});
+		}
+		else {
+			const marineError = describeFetchError(err, "Marine request");
+			entries.forEach((entry) => {
+				entry.marineError = marineError;
+			});
+		}
+	}
+}
+
+// Fetch solar irradiance for resolved entries with a solar system, one request per panel orientation, setting each entry's data or error (never throws).
+async function fetchSolar(entries, settings, fetchOpts, apiKey) {
+	const groups = {};
+	entries.forEach((entry) => {
+		entry.solarSystem = entry.spec.solar || settings.solar;
+		if (!entry.solarSystem) return;
+		const key = `${entry.solarSystem.tilt},${entry.solarSystem.azimuth}`;
+		(groups[key] = groups[key] || []).push(entry);
+	});
+
+	const solarUrl = "https://api.open-meteo.com/v1/forecast";
+	await mapLimit(Object.values(groups), settings.concurrency, async (group) => {
+		const solarQuery = new URLSearchParams();
+		solarQuery.set("hourly", DEFAULT_SOLAR_HOURLY.join(","));
+		solarQuery.set("tilt", String(group[0].solarSystem.tilt));
+		solarQuery.set("azimuth", String(group[0].solarSystem.azimuth));
+		solarQuery.set("temperature_unit", "celsius");
+		solarQuery.set("timezone", settings.timezone || "auto");
+		if (Number.isFinite(settings.forecastDays)) solarQuery.set("forecast_days", String(settings.forecastDays));
+		if (apiKey) solarQuery.set("apikey", apiKey);
+
+		try {
+			const { results, cacheHit } = await fetchBatch(solarUrl, group, solarQuery, fetchOpts, settings.cache, "solar");
+			group.forEach((entry, idx) => {
+				entry.solarCacheHit = cacheHit;
+				const solarData = results[idx];
+				if (solarData && solarData.error) {
+					entry.solarError = solarData.reason || "Open-Meteo returned a solar irradiance error.";
+				}
+				else {
+					entry.solarData = solarData;
+				}
+			});
+		}
+		catch (err) {
+			const solarError = describeFetchError(err, "Solar irradiance request");
+			group.forEach((entry) => {
+				entry.solarError = solarError;
+			});
+		}
+	});
+}
+
+// Read the weather window constraints from job parameters (unset constraints are undefined).
+function getWindowConstraints(params) {
+	const optional = (value) => {
+		const number = parseNumber(value, NaN);
+		return Number.isFinite(number) ? number : undefined;
+	};
+	return {
+		minTemp: optional(params.window_min_temp),
+		maxTemp: optional(params.window_max_temp),
+		maxWind: optional(params.window_max_wind),
+		maxGust: optional(params.window_max_gust),
+		dry: getBooleanParam(params, "window_dry"),
+		maxPrecipProbability: optional(params.window_max_precip_probability),
+		daylight: getBooleanParam(params, "window_daylight"),
+		minHours: Math.max(1, Math.floor(getNumberParam(params, "window_min_hours")) || 1),
+		required: getBooleanParam(params, "window_required")
+	};
+}
+
+// Add the hourly fields needed to check the window constraints.
+function addWindowFields(constraints, hourlyList) {
+	const fields = [];
+	if (constraints.minTemp !== undefined || constraints.maxTemp !== undefined) fields.push("temperature_2m");
+	if (constraints.maxWind !== undefined) fields.push("windspeed_10m");
+	if (constraints.maxGust !== undefined) fields.push("windgusts_10m");
+	if (constraints.dry) fields.push("precipitation");
+	if (constraints.maxPrecipProbability !== undefined) fields.push("precipitation_probability");
+	if (constraints.daylight) fields.push("is_day");
+	fields.forEach((field) => {
+		if (!hourlyList.includes(field)) hourlyList.push(field);
+	});
+}
+
+// Check whether an hour meets every window constraint (missing data never does).
+function isWindowHour(data, idx, constraints) {
+	const hourly = data.hourly;
+	const value = (key) => (hourly[key] ? hourly[key][idx] : undefined);
+	const within = (key, min, max) => {
+		if (min === undefined && max === undefined) return true;
+		const number = value(key);
+		if (typeof number !== "number") return false;
+		return (min === undefined || number >= min) && (max === undefined || number <= max);
+	};
+
+	if (!within("temperature_2m", constraints.minTemp, constraints.maxTemp)) return false;
+	if (!within("windspeed_10m", undefined, constraints.maxWind)) return false;
+	if (!within("windgusts_10m", undefined, constraints.maxGust)) return false;
+	if (constraints.dry && !within("precipitation", undefined, 0)) return false;
+	if (!within("precipitation_probability", undefined, constraints.maxPrecipProbability)) return false;
+	if (constraints.daylight && getHourIsDay(data, idx) !== 1) return false;
+	return true;
+}
+
+// Get the worst-case values over a window (min/max temperature, and the maximum of everything else).
+function getWindowWorstCase(hourly, indexes) {
+	const series = (key) => (hourly[key] ? indexes.map((idx) => hourly[key][idx]).filter((value) => typeof value === "number") : []);
+	const temps = series("temperature_2m");
+	const worst = {};
+	if (temps.length) {
+		worst.temperature_min = Math.min(...temps);
+		worst.temperature_max = Math.max(...temps);
+	}
+	["windspeed_10m", "windgusts_10m", "precipitation", "precipitation_probability"].forEach((key) => {
+		const values = series(key);
+		if (values.length) worst[`${key}_max`] = Math.max(...values);
+	});
+	return worst;
+}
+
+// Add one hour to a local ISO time (e.g. `2026-01-11T14:00` becomes `2026-01-11T15:00`).
+function addOneHour(timeStr) {
+	return new Date(Date.parse(`${timeStr}:00Z`) + 3600000).toISOString().slice(0, 16);
+}
+
+// Scan the hourly forecast (from the current hour, for up to `constraints.hours` hours) for contiguous windows
+// meeting the constraints, ranked by length and then by start time.
+function findWeatherWindows(data, constraints, params) {
+	const hourly = data && data.hourly;
+	if (!hourly || !Array.isArray(hourly.time)) return [];
+
+	const language = getLanguage(params);
+	const locale = getLocale(params);
+	const units = data.hourly_units || {};
+	const tempUnit = pickUnit(units.temperature_2m, buildUnitLabel(params.temperature_unit, TEMP_UNITS));
+	const windUnit = pickUnit(units.windspeed_10m, buildUnitLabel(params.windspeed_unit, WIND_UNITS));
+	const startIdx = Math.max(0, findHourIndex(hourly, data.current_weather ? data.current_weather.time : ""));
+
+	const endIdx = Number.isFinite(constraints.hours) ? Math.min(hourly.time.length, startIdx + constraints.hours) : hourly.time.length;
+	const runs = [];
+	let run = null;
+	for (let idx = startIdx; idx < endIdx; idx++) {
+		if (isWindowHour(data, idx, constraints)) {
+			if (!run) {
+				run = [];
+				runs.push(run);
+			}
+			run.push(idx);
+		}
+		else {
+			run = null;
+		}
+	}
+
+	const windows = runs.filter((indexes) => indexes.length >= constraints.minHours).map((indexes) => {
+		const start = hourly.time[indexes[0]];
+		const end = addOneHour(hourly.time[indexes[indexes.length - 1]]);
+		const worst = getWindowWorstCase(hourly, indexes);
+
+		const endLabel = formatClockTime(end, locale, true, end.slice(0, 10) !== start.slice(0, 10));
+		let line = `${formatClockTime(start, locale, true, true)} – ${endLabel} (${indexes.length} h)`;
+		const parts = [];
+		if (worst.temperature_min !== undefined) parts.push(`${worst.temperature_min}–${worst.temperature_max}${tempUnit ? ` ${tempUnit}` : ""}`);
+		if (worst.windspeed_10m_max !== undefined) parts.push(`${translate(language, "Wind")} ≤ ${worst.windspeed_10m_max}${windUnit ? ` ${windUnit}` : ""}`);
+		if (worst.windgusts_10m_max !== undefined) parts.push(`${translate(language, "gusts")} ≤ ${worst.windgusts_10m_max}${windUnit ? ` ${windUnit}` : ""}`);
+		if (worst.precipitation_probability_max !== undefined) parts.push(`${translate(language, "Precip chance")} ≤ ${worst.precipitation_probability_max}%`);
+		if (parts.length) line += `: ${parts.join(", ")}`;
+
+		return { start, end, hours: indexes.length, worst, line };
+	});
+
+	windows.sort((a, b) => (b.hours - a.hours) || a.start.localeCompare(b.start));
+	windows.forEach((window, idx) => {
+		window.rank = idx + 1;
+	});
+	return windows;
+}
+
+// Pick the job code when `window_required` is set and any location has no weather window.
+function getWindowOutcome(reports, settings) {
+	if (!settings.windowConstraints || !settings.windowConstraints.required) return null;
+	const missing = reports.filter(({ output }) => Array.isArray(output.windows) && !output.windows.length).map(({ key }) => key);
+	if (!missing.length) return null;
+	const where = reports.length > 1 ? ` for ${missing.join(", ")}` : "";
+	return { code: "window", description: `No weather window found within the next ${settings.windowHours} hours${where}.` };
+}
+
+// Severity levels for built-in hazards, from least to most severe.
+const HAZARD_SEVERITIES = ["moderate", "severe", "extreme"];
+
+// Weather codes flagged as hazards, with their hazard type and severity.
+const HAZARD_CODES = {
+	56: { type: "freezing_rain", severity: "moderate" },
+	57: { type: "freezing_rain", severity: "severe" },
+	66: { type: "freezing_rain", severity: "severe" },
+	67: { type: "freezing_rain", severity: "extreme" },
+	95: { type: "thunderstorm", severity: "moderate" },
+	96: { type: "hail", severity: "severe" },
+	99: { type: "hail", severity: "extreme" }
+};
+
+// Threshold hazards, with the moderate, severe and extreme thresholds in base units: m/s for gusts, the UV index, cm of snow per day,
+// and °F for the daily high (feels like) and low.  Hard freezes are flagged at or below their thresholds, and `labels` name each
+// level where the hazard name depends on it (UV 8 to 10 is "very high" on the WHO scale, and 11 or more "extreme").
+const HAZARD_THRESHOLDS = {
+	damaging_gusts: { label: "Damaging gusts", levels: [17.9, 25.9, 32.9] },
+	extreme_uv: { label: "Extreme UV", levels: [8, 11], labels: ["Very high UV", "Extreme UV"] },
+	heavy_snow: { label: "Heavy snow", levels: [10, 20, 40] },
+	heat_stress: { label: "Heat stress", levels: [90, 103, 125] },
+	hard_freeze: { label: "Hard freeze", levels: [28, 20, 0], below: true }
+};
+
+// Match a weather code against a code hazard type, returning the severity and code.
+function matchHazardCode(code, type) {
+	const entry = HAZARD_CODES[code];
+	return entry && entry.type === type ? { severity: entry.severity, value: code } : undefined;
+}
+
+// Match a value (in base units) against a threshold hazard, returning the severity and original value.
+function matchHazardThreshold(baseValue, value, type) {
+	if (!Number.isFinite(baseValue)) return undefined;
+	const hazard = HAZARD_THRESHOLDS[type];
+	let level = -1;
+	hazard.levels.forEach((limit, idx) => {
+		if (hazard.below ? baseValue <= limit : baseValue >= limit) level = idx;
+	});
+	return level > -1 ? { severity: HAZARD_SEVERITIES[level], value } : undefined;
+}
+
+// Group consecutive matching time steps into hazard spans, keeping the worst severity and peak value of each.
+function collectHazardSpans(times, type, step, check) {
+	const below = !!(HAZARD_THRESHOLDS[type] && HAZARD_THRESHOLDS[type].below);
+	const spans = [];
+	let span = null;
+	times.forEach((time, idx) => {
+		const match = check(idx);
+		if (!match) {
+			span = null;
+			return;
+		}
+		if (!span) {
+			span = { type, severity: match.severity, step, start: time, last: time, value: match.value };
+			spans.push(span);
+		}
+		span.last = time;
+		const rank = HAZARD_SEVERITIES.indexOf(match.severity) - HAZARD_SEVERITIES.indexOf(span.severity);
+		if (rank > 0) span.severity = match.severity;
+		if (rank > 0 || (rank === 0 && (below ? match.value < span.value : match.value > span.value))) span.value = match.value;
+	});
+	return spans;
+}
+
+// Describe when a hazard span occurs: a time range for hourly spans, or a day (range) for daily spans.
+function formatHazardSpan(span, locale, dayLabels) {
+	if (span.step === "hour") {
+		const end = addOneHour(span.last);
+		return `${formatClockTime(span.start, locale, true, true)} – ${formatClockTime(end, locale, true, end.slice(0, 10) !== span.start.slice(0, 10))}`;
+	}
+	const start = dayLabels[span.start] || span.start;
+	return span.last === span.start ? start : `${start} – ${dayLabels[span.last] || span.last}`;
+}
+
+// Detect built-in severe weather hazards: thunderstorms, hail, freezing rain and drizzle, damaging gusts, extreme UV,
+// heavy snow, heat stress and hard freezes.  Hourly data is used where available, and daily data for the days after it.
+// Returns hazards sorted by severity, then start time, each with a short headline.
+function detectHazards(data, airQualityData, params, dailySummaries) {
+	const language = getLanguage(params);
+	const locale = getLocale(params);
+	const tempUnit = getTextParam(params, "temperature_unit").toLowerCase();
+	const windUnit = getTextParam(params, "windspeed_unit").toLowerCase();
+	const toMs = (speed) => speed * (WIND_TO_MS[windUnit] || WIND_TO_MS.mph);
+	const codeTypes = ["thunderstorm", "hail", "freezing_rain"];
+	const spans = [];
+	const units = {};
+
+	const hourly = data && data.hourly;
+	let lastHourDate = "";
+	if (hourly && Array.isArray(hourly.time) && hourly.time.length) {
+		const hourlyUnits = data.hourly_units || {};
+		const codes = hourly.weathercode || hourly.weather_code;
+		const gusts = hourly.windgusts_10m || hourly.wind_gusts_10m;
+		lastHourDate = hourly.time[hourly.time.length - 1].slice(0, 10);
+		if (codes) codeTypes.forEach((type) => spans.push(...collectHazardSpans(hourly.time, type, "hour", (idx) => matchHazardCode(codes[idx], type))));
+		if (gusts) {
+			units.damaging_gusts = pickUnit(hourlyUnits.windgusts_10m || hourlyUnits.wind_gusts_10m, buildUnitLabel(params.windspeed_unit, WIND_UNITS));
+			spans.push(...collectHazardSpans(hourly.time, "damaging_gusts", "hour", (idx) => matchHazardThreshold(toMs(gusts[idx]), gusts[idx], "damaging_gusts")));
+		}
+	}
+
+	const uvHourly = airQualityData && airQualityData.hourly;
+	if (uvHourly && Array.isArray(uvHourly.time) && uvHourly.uv_index) {
+		spans.push(...collectHazardSpans(uvHourly.time, "extreme_uv", "hour", (idx) => matchHazardThreshold(uvHourly.uv_index[idx], uvHourly.uv_index[idx], "extreme_uv")));
+	}
+
+	const daily = data && data.daily;
+	if (daily && Array.isArray(daily.time)) {
+		const dailyUnits = data.daily_units || {};
+		const afterHourly = (idx) => !lastHourDate || daily.time[idx] > lastHourDate;
+		const codes = daily.weathercode || daily.weather_code;
+		const gusts = daily.windgusts_10m_max || daily.wind_gusts_10m_max;
+		// The feels-like high may be missing for days it was computed for from partial hourly data, so fall back per day.
+		const feelsLike = daily.apparent_temperature_max || [];
+		const highs = (daily.apparent_temperature_max || daily.temperature_2m_max) && daily.time.map((time, idx) => {
+			return typeof feelsLike[idx] === "number" ? feelsLike[idx] : (daily.temperature_2m_max ? daily.temperature_2m_max[idx] : null);
+		});
+		const lows = daily.temperature_2m_min;
+		const snow = daily.snowfall_sum;
+		const tempLabel = pickUnit(dailyUnits.temperature_2m_max, buildUnitLabel(params.temperature_unit, TEMP_UNITS));
+
+		if (codes) codeTypes.forEach((type) => spans.push(...collectHazardSpans(daily.time, type, "day", (idx) => afterHourly(idx) && matchHazardCode(codes[idx], type))));
+		if (gusts) {
+			units.damaging_gusts = units.damaging_gusts || pickUnit(dailyUnits.windgusts_10m_max || dailyUnits.wind_gusts_10m_max, buildUnitLabel(params.windspeed_unit, WIND_UNITS));
+			spans.push(...collectHazardSpans(daily.time, "damaging_gusts", "day", (idx) => afterHourly(idx) && matchHazardThreshold(toMs(gusts[idx]), gusts[idx], "damaging_gusts")));
+		}
+		if (snow) {
+			units.heavy_snow = pickUnit(dailyUnits.snowfall_sum, "cm");
+			const toCm = units.heavy_snow === "inch" ? 2.54 : 1;
+			spans.push(...collectHazardSpans(daily.time, "heavy_snow", "day", (idx) => matchHazardThreshold(snow[idx] * toCm, snow[idx], "heavy_snow")));
+		}
+		if (highs) {
+			units.heat_stress = tempLabel;
+			spans.push(...collectHazardSpans(daily.time, "heat_stress", "day", (idx) => matchHazardThreshold(toFahrenheit(highs[idx], tempUnit), highs[idx], "heat_stress")));
+		}
+		if (lows) {
+			units.hard_freeze = tempLabel;
+			spans.push(...collectHazardSpans(daily.time, "hard_freeze", "day", (idx) => matchHazardThreshold(toFahrenheit(lows[idx], tempUnit), lows[idx], "hard_freeze")));
+		}
+	}
+
+	const dayLabels = {};
+	(dailySummaries || []).forEach((summary) => {
+		dayLabels[summary.date] = summary.label;
+	});
+
+	const hazards = spans.map((span) => {
+		const threshold = HAZARD_THRESHOLDS[span.type];
+		const name = threshold && threshold.labels ? threshold.labels[HAZARD_SEVERITIES.indexOf(span.severity)] : (threshold && threshold.label);
+		const label = threshold ? translate(language, name) : getWeatherSummary(span.value, language).description;
+		const unit = units[span.type];
+		const value = threshold ? ` ${span.value}${unit ? ` ${unit}` : ""}` : "";
+		return {
+			type: span.type,
+			severity: span.severity,
+			start: span.start,
+			end: span.step === "hour" ? addOneHour(span.last) : span.last,
+			value: threshold ? span.value : undefined,
+			code: threshold ? undefined : span.value,
+			headline: `${label}${value}, ${formatHazardSpan(span, locale, dayLabels)}`
+		};
+	});
+
+	hazards.sort((a, b) => (HAZARD_SEVERITIES.indexOf(b.severity) - HAZARD_SEVERITIES.indexOf(a.severity)) || a.start.localeCompare(b.start));
+	return hazards;
+}
+
+// Set the xyOps job tags for the detected hazards (one per hazard type) across all reports.
+function addHazardTags(payload, reports) {
+	const tags = [];
+	reports.forEach(({ output }) => {
+		(output.hazards || []).forEach((hazard) => {
+			if (!tags.includes(hazard.type)) tags.push(hazard.type);
+		});
+	});
+	if (tags.length) payload.tags = tags;
+	return payload;
+}
+
+// Parse the `change_thresholds` parameter (e.g. `temperature_2m_min: 1, precipitation_probability_max: 20`).
+function parseChangeThresholds(value) {
+	const thresholds = {};
+	String(value || "").split(/[\n,]+/).map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+		const match = entry.match(/^(\w+)\s*[:=]\s*(\d+(?:\.\d+)?)$/);
+		if (!match) throw new Error(`Invalid change threshold: ${entry} (expected e.g. temperature_2m_min: 2)`);
+		thresholds[match[1]] = Number(match[2]);
+	});
+	return thresholds;
+}
+
+// Get the significance threshold for a daily field, from the user thresholds or the defaults.
+function getChangeThreshold(field, thresholds) {
+	if (thresholds[field] !== undefined) return thresholds[field];
+	const match = DEFAULT_CHANGE_THRESHOLDS.find((entry) => entry.pattern.test(field));
+	return match ? match.value : 0;
+}
+
+// Build a state file path for a location key.
+function getStatePath(stateDir, key) {
+	const hash = crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 32);
+	return path.join(stateDir, `snapshot-${hash}.json`);
+}
+
+// Build a normalized snapshot of the daily forecast, keeping only the tracked fields.
+function buildForecastSnapshot(key, output) {
+	const daily = output.daily || {};
+	const units = (output.units && output.units.daily) || {};
+	const snapshot = { key, created: Date.now(), time: daily.time || [], fields: {}, units: {} };
+	Object.keys(daily).forEach((field) => {
+		if (UNTRACKED_FIELDS.test(field) || !Array.isArray(daily[field])) return;
+		if (!daily[field].every((value) => value === null || typeof value === "number")) return;
+		snapshot.fields[field] = daily[field];
+		snapshot.units[field] = units[field] || "";
+	});
+	return snapshot;
+}
+
+// Read the previous snapshot for a location key, if any.
+function readSnapshot(stateDir, key) {
+	try {
+		const snapshot = JSON.parse(fs.readFileSync(getStatePath(stateDir, key), "utf8"));
+		return snapshot && snapshot.key === key ? snapshot : undefined;
+	}
+	catch (err) {
+		// Ignore missing or corrupt snapshots.
+	}
+	return undefined;
+}
+
+// Write a snapshot atomically (temp file + rename), logging any failure.
+function writeSnapshot(stateDir, snapshot, log) {
+	const statePath = getStatePath(stateDir, snapshot.key);
+	const tempPath = `${statePath}.${process.pid}.${Date.now()}.tmp`;
+	try {
+		fs.mkdirSync(stateDir, { recursive: true });
+		fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+		fs.renameSync(tempPath, statePath);
+	}
+	catch (err) {
+		log(`Failed to write forecast snapshot: ${err.message}`);
+		try { fs.unlinkSync(tempPath); } catch (e) { /* ignore */ }
+	}
+}
+
+// Get the freezing point in a temperature unit label (°F or °C).
+function getFreezingPoint(unit) {
+	return /F/.test(unit || "") ? 32 : 0;
+}
+
+// Diff two forecast snapshots by date and field, keeping only significant changes.
+function diffSnapshots(previous, current, thresholds, summaries, language) {
+	const changes = [];
+	const labels = {};
+	(summaries || []).forEach((summary) => {
+		labels[summary.date] = summary.label;
+	});
+
+	current.time.forEach((date, idx) => {
+		const prevIdx = previous.time.indexOf(date);
+		if (prevIdx < 0) return;
+
+		Object.keys(current.fields).forEach((field) => {
+			const prevSeries = previous.fields[field];
+			if (!prevSeries || previous.units[field] !== current.units[field]) return;
+			const oldValue = prevSeries[prevIdx];
+			const newValue = current.fields[field][idx];
+			if (typeof oldValue !== "number" || typeof newValue !== "number" || oldValue === newValue) return;
+
+			const unit = current.units[field];
+			const label = translate(language, CHANGE_FIELD_LABELS[field] || field);
+			const dayLabel = labels[date] || date;
+			let delta = roundNumber(newValue - oldValue, 2);
+			let line;
+			let freezing;
+
+			if (field === "weathercode") {
+				const oldText = getWeatherSummary(oldValue, language).description;
+				const newText = getWeatherSummary(newValue, language).description;
+				if (oldText === newText) return;
+				line = `${dayLabel}: ${label} ${oldText} → ${newText}`;
+				delta = undefined;
+			}
+			else {
+				// Crossing the freezing point is always significant for temperatures.
+				if (/temperature/.test(field)) {
+					const point = getFreezingPoint(unit);
+					if (oldValue >= point && newValue < point) freezing = "below freezing";
+					else if (oldValue < point && newValue >= point) freezing = "above freezing";
+				}
+				if (!freezing && Math.abs(newValue - oldValue) < getChangeThreshold(field, thresholds)) return;
+				const suffix = unit && unit !== "wmo code" ? ` ${unit}` : "";
+				line = `${dayLabel}: ${label} ${oldValue}${suffix} → ${newValue}${suffix}`;
+				if (freezing) line += ` (${translate(language, freezing)})`;
+			}
+
+			changes.push({ field, date, old: oldValue, new: newValue, delta, freezing, line });
+		});
+	});
+
+	return changes;
+}
+
+// Diff the output against the previous run's snapshot for the location key, then save the new snapshot.
+function trackForecastChanges(key, output, settings) {
+	const snapshot = buildForecastSnapshot(key, output);
+	const previous = readSnapshot(settings.stateDir, key);
+	writeSnapshot(settings.stateDir, snapshot, settings.log);
+
+	if (!previous) return { changes: [], since: undefined };
+	const summaries = output.daily ? output.daily.summaries : [];
+	return {
+		changes: diffSnapshots(previous, snapshot, settings.changeThresholds, summaries, settings.language),
+		since: new Date(previous.created).toISOString()
+	};
+}
+
+// Job parameter schema, shared by the up-front validation and the xyOps plugin parameters (see `writeXyopsFile`).
+// Each entry holds the xyOps field (id, title, type, variant, default value and caption), plus the validation rules:
+// the `kind` of value, an optional `min`/`max` (or a function of the params), allowed `options`, a `pattern` with a `hint`,
+// or a custom `check` returning a list of problems.  Hidden entries are validated but not shown in xyOps.
+const PARAM_SCHEMA = [
+	{
+		id: "postal_code", title: "Postal Code", type: "text", value: "",
+		caption: "Optional postal/ZIP code for geolocation (overrides latitude/longitude).",
+		kind: "text"
+	},
+	{
+		id: "location_query", title: "Location Name", type: "text", value: "",
+		caption: "Optional city or place name for geolocation, e.g. `Portland` (overrides latitude/longitude).",
+		kind: "text"
+	},
+	{
+		id: "country_code", title: "Country Code", type: "text", value: "",
+		caption: "Optional ISO country code (e.g. `US`) to restrict postal code and place name lookups to.",
+		kind: "text", pattern: /^[a-z]{2}$/i, hint: "a 2-letter ISO country code, e.g. US"
+	},
+	{
+		id: "admin1", title: "State / Region", type: "text", value: "",
+		caption: "Optional state or region name (e.g. `Oregon`) to prefer when looking up a place.",
+		kind: "text"
+	},
+	{
+		id: "latitude", title: "Latitude", type: "text", variant: "number", value: 0,
+		caption: "Enter the latitude as a decimal number (ignored if using postal code or location name).",
+		kind: "number", min: -90, max: 90
+	},
+	{
+		id: "longitude", title: "Longitude", type: "text", variant: "number", value: 0,
+		caption: "Enter the longitude as a decimal number (ignored if using postal code or location name).",
+		kind: "number", min: -180, max: 180
+	},
+	{
+		id: "locations", title: "Locations", type: "textarea", value: "",
+		caption: "Optional list of locations to fetch in one run, one per line: `[label =] postal code` or `[label =] latitude, longitude` (overrides the single location above).",
+		kind: "text", check: checkLocationsParam
+	},
+	{
+		id: "location", title: "Saved Location", type: "text", value: "",
+		caption: "Optional alias of a saved location from the locations file, e.g. `hq` (overrides the single location above, and applies its timezone and units).  Anything else is looked up as a place name.",
+		kind: "text", check: checkSavedLocationParam
+	},
+	{
+		id: "locations_file", title: "Locations File", type: "text", value: "",
+		caption: "Optional path to a JSON or YAML file of saved locations (defaults to the `WEATHER_LOCATIONS_FILE` environment variable).",
+		kind: "text", check: checkLocationsFileParam
+	},
+	{
+		id: "reverse_geocode", title: "Reverse Geocode", type: "checkbox", value: false,
+		caption: "Look up the place name for latitude/longitude coordinates, via OpenStreetMap Nominatim (sends the coordinates to a third party).",
+		kind: "boolean"
+	},
+	{
+		id: "mode", title: "Mode", type: "select",
+		caption: "Choose `forecast` for upcoming weather, `historical` to fetch past conditions for a date range, or `window` to find periods meeting your constraints.",
+		kind: "enum", options: ["forecast", "historical", "window"]
+	},
+	{
+		id: "start_date", title: "Start Date", type: "text", value: "",
+		caption: "First date to fetch in historical mode (`YYYY-MM-DD`).",
+		kind: "date"
+	},
+	{
+		id: "end_date", title: "End Date", type: "text", value: "",
+		caption: "Last date to fetch in historical mode (`YYYY-MM-DD`).",
+		kind: "date"
+	},
+	{
+		id: "window_min_temp", title: "Window Min Temperature", type: "text", variant: "number", value: "",
+		caption: "Optional minimum temperature for window mode.",
+		kind: "number"
+	},
+	{
+		id: "window_max_temp", title: "Window Max Temperature", type: "text", variant: "number", value: "",
+		caption: "Optional maximum temperature for window mode.",
+		kind: "number"
+	},
+	{
+		id: "window_max_wind", title: "Window Max Wind", type: "text", variant: "number", value: "",
+		caption: "Optional maximum wind speed for window mode.",
+		kind: "number", min: 0
+	},
+	{
+		id: "window_max_gust", title: "Window Max Gusts", type: "text", variant: "number", value: "",
+		caption: "Optional maximum wind gusts for window mode.",
+		kind: "number", min: 0
+	},
+	{
+		id: "window_dry", title: "Window Dry", type: "checkbox", value: false,
+		caption: "Require no precipitation in window mode.",
+		kind: "boolean"
+	},
+	{
+		id: "window_max_precip_probability", title: "Window Max Precip Chance", type: "text", variant: "number", value: "",
+		caption: "Optional maximum chance of precipitation (percent) for window mode.",
+		kind: "number", min: 0, max: 100
+	},
+	{
+		id: "window_daylight", title: "Window Daylight Only", type: "checkbox", value: false,
+		caption: "Only accept daylight hours in window mode.",
+		kind: "boolean"
+	},
+	{
+		id: "window_min_hours", title: "Window Min Hours", type: "text", variant: "number", value: 1,
+		caption: "Minimum window length in hours (defaults to 1).",
+		kind: "integer", min: 1
+	},
+	{
+		id: "window_hours", title: "Window Horizon Hours", type: "text", variant: "number", value: "",
+		caption: "Number of hours to scan for weather windows (defaults to all forecast days).",
+		kind: "integer", min: 1, max: (params) => getForecastDayLimit(params) * 24
+	},
+	{
+		id: "window_required", title: "Window Required", type: "checkbox", value: false,
+		caption: "Fail the job when no weather window is found.",
+		kind: "boolean"
+	},
+	{
+		id: "temperature_unit", title: "Temperature Unit", type: "select",
+		caption: "Choose the temperature unit returned by the API.",
+		kind: "enum", options: ["fahrenheit", "celsius"]
+	},
+	{
+		id: "windspeed_unit", title: "Windspeed Unit", type: "select",
+		caption: "Choose the windspeed unit returned by the API.",
+		kind: "enum", options: ["mph", "kmh", "ms", "kn"]
+	},
+	{
+		id: "precipitation_unit", title: "Precipitation Unit", type: "select",
+		caption: "Choose the precipitation unit returned by the API.",
+		kind: "enum", options: ["inch", "mm"]
+	},
+	{
+		id: "timezone", title: "Timezone", type: "text", value: "auto", required: true,
+		caption: "Enter an IANA timezone (e.g. `America/Los_Angeles`) or `auto`.",
+		kind: "timezone"
+	},
+	{
+		id: "language", title: "Language", type: "text", value: "",
+		caption: "Optional language code for summaries and labels, e.g. `de`, `fr`, `es`, `it` or `nl` (defaults to English).",
+		kind: "text", pattern: /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i, hint: "a language code, e.g. de or fr-CH"
+	},
+	{
+		id: "forecast_days", title: "Forecast Days", type: "text", variant: "number", value: 7,
+		caption: "Optional number of days to return in the forecast.",
+		kind: "integer", min: 1, max: getForecastDayLimit
+	},
+	{
+		id: "forecast_hours", title: "Forecast Hours", type: "text", variant: "number", value: 24,
+		caption: "Number of hourly entries to return (defaults to 24).",
+		kind: "integer", min: 1, max: (params) => getForecastDayLimit(params) * 24
+	},
+	{
+		id: "models", title: "Models", type: "text", value: "",
+		caption: "Optional comma-separated list of weather models to compare, e.g. `gfs_seamless, ecmwf_ifs04, icon_seamless`.",
+		kind: "text", check: checkModelsParam
+	},
+	{
+		id: "ensemble", title: "Use Ensemble", type: "checkbox", value: false,
+		caption: "Fetch every ensemble member of the selected models from the Open-Meteo Ensemble API.",
+		kind: "boolean"
+	},
+	{
+		id: "current", title: "Current Variables", type: "text", value: "",
+		caption: "Optional comma-separated list of current variables to fetch, e.g. `temperature_2m, relativehumidity_2m, uv_index`.",
+		kind: "fields", block: "current"
+	},
+	{
+		id: "daily", title: "Daily Variables", type: "text", value: "", hidden: true,
+		caption: "Optional comma-separated list of daily variables to fetch.",
+		kind: "fields", block: "daily"
+	},
+	{
+		id: "hourly", title: "Hourly Variables", type: "text", value: "", hidden: true,
+		caption: "Optional comma-separated list of hourly variables to fetch.",
+		kind: "fields", block: "hourly"
+	},
+	{
+		id: "timeout_ms", title: "Timeout (ms)", type: "text", variant: "number", value: 15000,
+		caption: "Number of milliseconds to wait for each API request attempt.",
+		kind: "integer", min: 1
+	},
+	{
+		id: "retries", title: "Retries", type: "text", variant: "number", value: 2,
+		caption: "Number of times to retry rate-limited, transient or timed out requests.",
+		kind: "integer", min: 0, max: 10
+	},
+	{
+		id: "retry_delay_ms", title: "Retry Delay (ms)", type: "text", variant: "number", value: 500,
+		caption: "Base delay before the first retry, doubled for each subsequent attempt (with jitter).",
+		kind: "integer", min: 0
+	},
+	{
+		id: "retry_max_delay_ms", title: "Max Retry Delay (ms)", type: "text", variant: "number", value: 10000,
+		caption: "Maximum delay between retries, including delays requested via `Retry-After`.",
+		kind: "integer", min: 0
+	},
+	{
+		id: "concurrency", title: "Concurrency", type: "text", variant: "number", value: 4,
+		caption: "Maximum number of simultaneous geocoding lookups when using multiple locations.",
+		kind: "integer", min: 1, max: 50
+	},
+	{
+		id: "report_format", title: "Report Format", type: "select",
+		caption: "Choose which reports to display on the job details page: a forecast table, an HTML summary, both or none.",
+		kind: "enum", multiple: true, options: ["all", "table", "html", "none"]
+	},
+	{
+		id: "export", title: "Export Files", type: "select",
+		caption: "Choose which files to attach to the job: CSV files for the hourly and daily data, an iCalendar forecast feed, both or none.",
+		kind: "enum", multiple: true, options: ["none", "csv", "ics", "all"]
+	},
+	{
+		id: "export_dir", title: "Export Directory", type: "text", value: "",
+		caption: "Optional directory to write export files to (defaults to the job's working directory).",
+		kind: "text"
+	},
+	{
+		id: "cache", title: "Cache Mode", type: "select",
+		caption: "Choose whether to `use` the response cache, `refresh` it with live data, or `bypass` it entirely.",
+		kind: "enum", options: ["use", "refresh", "bypass"]
+	},
+	{
+		id: "cache_dir", title: "Cache Directory", type: "text", value: "",
+		caption: "Optional cache directory path (defaults to a subdirectory of the OS temp directory).",
+		kind: "text"
+	},
+	{
+		id: "cache_ttl_forecast", title: "Forecast Cache TTL", type: "text", variant: "number", value: 600,
+		caption: "Number of seconds to cache forecast responses (0 to disable).",
+		kind: "integer", min: 0
+	},
+	{
+		id: "cache_ttl_archive", title: "Historical Cache TTL", type: "text", variant: "number", value: 86400,
+		caption: "Number of seconds to cache historical (archive) responses (0 to disable).",
+		kind: "integer", min: 0
+	},
+	{
+		id: "cache_ttl_air_quality", title: "Air Quality Cache TTL", type: "text", variant: "number", value: 1800,
+		caption: "Number of seconds to cache air quality responses (0 to disable).",
+		kind: "integer", min: 0
+	},
+	{
+		id: "cache_ttl_geocode", title: "Geocoding Cache TTL", type: "text", variant: "number", value: 2592000,
+		caption: "Number of seconds to cache geocoding responses (0 to disable).",
+		kind: "integer", min: 0
+	},
+	{
+		id: "cache_max_mb", title: "Cache Size Limit (MB)", type: "text", variant: "number", value: 50,
+		caption: "Maximum total size of the cache directory, in megabytes. The oldest entries are evicted first.",
+		kind: "number", min: 0
+	},
+	{
+		id: "alert_rules", title: "Alert Rules", type: "textarea", value: "",
+		caption: "Optional threshold rules, one per line, e.g. `daily.temperature_2m_min < 32 within 2 days` or `hourly.windspeed_10m >= 40`.",
+		kind: "text", check: checkAlertRulesParam
+	},
+	{
+		id: "alert_action", title: "Alert Action", type: "select",
+		caption: "Choose how the job should finish when an alert rule matches.",
+		kind: "enum", options: ["none", "warning", "error"]
+	},
+	{
+		id: "track_changes", title: "Track Changes", type: "checkbox", value: false,
+		caption: "Compare the daily forecast against the previous run and report significant changes.",
+		kind: "boolean"
+	},
+	{
+		id: "state_dir", title: "State Directory", type: "text", value: "",
+		caption: "Optional directory for forecast snapshots (defaults to a subdirectory of the OS temp directory).",
+		kind: "text"
+	},
+	{
+		id: "change_thresholds", title: "Change Thresholds", type: "text", value: "",
+		caption: "Optional per-field significance thresholds, e.g. `temperature_2m_min: 1, precipitation_probability_max: 20`.",
+		kind: "text", check: checkChangeThresholdsParam
+	},
+	{
+		id: "air_quality", title: "Include Air Quality", type: "checkbox", value: true,
+		caption: "Include air quality data from Open-Meteo.",
+		kind: "boolean"
+	},
+	{
+		id: "aqi_standard", title: "AQI Standard", type: "select",
+		caption: "Choose which air quality index to show in the current summary: European, US EPA, or both.",
+		kind: "enum", options: ["european", "us", "both"]
+	},
+	{
+		id: "pollen", title: "Include Pollen", type: "checkbox", value: true,
+		caption: "Include pollen data for locations in Europe (requires air quality).",
+		kind: "boolean"
+	},
+	{
+		id: "briefing", title: "Include Briefing", type: "checkbox", value: true,
+		caption: "Include a narrative briefing for the next 24 hours.",
+		kind: "boolean"
+	},
+	{
+		id: "hazards", title: "Detect Hazards", type: "checkbox", value: true,
+		caption: "Detect severe weather hazards (thunderstorms, hail, freezing rain, damaging gusts, extreme UV, heavy snow, heat stress and hard freezes) and tag the job.",
+		kind: "boolean"
+	},
+	{
+		id: "marine", title: "Include Marine", type: "checkbox", value: false,
+		caption: "Include wave, swell and ocean current data for coastal sites.",
+		kind: "boolean"
+	},
+	{
+		id: "solar", title: "Solar System", type: "text", value: "",
+		caption: "Optional rooftop solar system for a PV production estimate, e.g. `capacity: 5, tilt: 30, azimuth: 0, losses: 14` (kWp, degrees, degrees from south, percent).",
+		kind: "text", check: checkSolarParam
+	}
+];
+
+// Known Open-Meteo daily variables (forecast and historical APIs), in the modern spelling.
+const KNOWN_DAILY = [
+	"weather_code", "temperature_2m_max", "temperature_2m_min", "temperature_2m_mean",
+	"apparent_temperature_max", "apparent_temperature_min", "apparent_temperature_mean",
+	"sunrise", "sunset", "daylight_duration", "sunshine_duration", "uv_index_max", "uv_index_clear_sky_max",
+	"precipitation_sum", "rain_sum", "showers_sum", "snowfall_sum", "snowfall_water_equivalent_sum", "precipitation_hours",
+	"precipitation_probability_max", "precipitation_probability_min", "precipitation_probability_mean",
+	"wind_speed_10m_max", "wind_speed_10m_min", "wind_speed_10m_mean",
+	"wind_gusts_10m_max", "wind_gusts_10m_min", "wind_gusts_10m_mean", "wind_direction_10m_dominant",
+	"shortwave_radiation_sum", "et0_fao_evapotranspiration", "et0_fao_evapotranspiration_sum",
+	"relative_humidity_2m_max", "relative_humidity_2m_min", "relative_humidity_2m_mean",
+	"dew_point_2m_max", "dew_point_2m_min", "dew_point_2m_mean",
+	"cloud_cover_max", "cloud_cover_min", "cloud_cover_mean",
+	"pressure_msl_max", "pressure_msl_min", "pressure_msl_mean",
+	"surface_pressure_max", "surface_pressure_min", "surface_pressure_mean",
+	"visibility_max", "visibility_min", "visibility_mean",
+	"cape_max", "cape_min", "cape_mean", "wet_bulb_temperature_2m_max", "wet_bulb_temperature_2m_min", "wet_bulb_temperature_2m_mean",
+	"vapour_pressure_deficit_max", "leaf_wetness_probability_mean", "growing_degree_days_base_0_limit_50",
+	"soil_moisture_0_to_100cm_mean", "soil_moisture_0_to_7cm_mean", "soil_moisture_7_to_28cm_mean",
+	"soil_moisture_28_to_100cm_mean", "soil_moisture_index_0_to_7cm_mean", "soil_moisture_index_0_to_100cm_mean",
+	"soil_temperature_0_to_7cm_mean", "soil_temperature_7_to_28cm_mean", "soil_temperature_28_to_100cm_mean",
+	"soil_temperature_0_to_100cm_mean", "updraft_max"
+];
+
+// Known Open-Meteo hourly variables (forecast and historical APIs), in the modern spelling.  Any hourly variable is also a valid current variable.
+const KNOWN_HOURLY = [
+	"temperature_2m", "relative_humidity_2m", "dew_point_2m", "apparent_temperature", "precipitation_probability",
+	"precipitation", "rain", "showers", "snowfall", "snowfall_height", "snow_depth", "freezing_level_height",
+	"weather_code", "pressure_msl", "surface_pressure", "cloud_cover", "cloud_cover_low", "cloud_cover_mid", "cloud_cover_high",
+	"visibility", "evapotranspiration", "et0_fao_evapotranspiration", "vapour_pressure_deficit",
+	"wind_speed_10m", "wind_speed_80m", "wind_speed_100m", "wind_speed_120m", "wind_speed_180m",
+	"wind_direction_10m", "wind_direction_80m", "wind_direction_100m", "wind_direction_120m", "wind_direction_180m",
+	"wind_gusts_10m", "temperature_80m", "temperature_120m", "temperature_180m",
+	"soil_temperature_0cm", "soil_temperature_6cm", "soil_temperature_18cm", "soil_temperature_54cm",
+	"soil_temperature_0_to_7cm", "soil_temperature_7_to_28cm", "soil_temperature_28_to_100cm", "soil_temperature_100_to_255cm",
+	"soil_moisture_0_to_1cm", "soil_moisture_1_to_3cm", "soil_moisture_3_to_9cm", "soil_moisture_9_to_27cm", "soil_moisture_27_to_81cm",
+	"soil_moisture_0_to_7cm", "soil_moisture_7_to_28cm", "soil_moisture_28_to_100cm", "soil_moisture_100_to_255cm",
+	"uv_index", "uv_index_clear_sky", "is_day", "sunshine_duration", "wet_bulb_temperature_2m", "total_column_integrated_water_vapour",
+	"cape", "lifted_index", "convective_inhibition", "boundary_layer_height", "lightning_potential", "updraft",
+	"shortwave_radiation", "direct_radiation", "diffuse_radiation", "direct_normal_irradiance", "global_tilted_irradiance",
+	"terrestrial_radiation", "shortwave_radiation_instant", "direct_radiation_instant", "diffuse_radiation_instant",
+	"direct_normal_irradiance_instant", "global_tilted_irradiance_instant", "terrestrial_radiation_instant"
+];
+
+// Pressure level variables (modern spelling), e.g. `temperature_850hPa`.
+const PRESSURE_LEVEL_VARIABLE = /^(temperature|relative_humidity|dew_point|cloud_cover|wind_speed|wind_direction|geopotential_height|vertical_velocity)_\d+hPa$/;
+
+// Legacy spellings still accepted by Open-Meteo, as [modern, legacy] name fragments.
+const LEGACY_SPELLINGS = [
+	["relative_humidity", "relativehumidity"],
+	["dew_point", "dewpoint"],
+	["weather_code", "weathercode"],
+	["cloud_cover", "cloudcover"],
+	["wind_speed", "windspeed"],
+	["wind_direction", "winddirection"],
+	["wind_gusts", "windgusts"]
+];
+
+// Known variables for each block, in both spellings.
+const KNOWN_VARIABLES = {
+	daily: addLegacySpellings(KNOWN_DAILY),
+	hourly: addLegacySpellings(KNOWN_HOURLY),
+	current: addLegacySpellings(KNOWN_HOURLY)
+};
+
+// Add the legacy spelling of each variable name to a list.
+function addLegacySpellings(names) {
+	const list = names.slice();
+	names.forEach((name) => {
+		const legacy = LEGACY_SPELLINGS.reduce((text, [modern, old]) => text.replace(modern, old), name);
+		if (!list.includes(legacy)) list.push(legacy);
+	});
+	return list;
+}
+
+// Check whether a variable name is known to Open-Meteo for a block.
+function isKnownVariable(name, block) {
+	if (KNOWN_VARIABLES[block].includes(name)) return true;
+	if (block === "daily") return false;
+	const modern = LEGACY_SPELLINGS.reduce((text, [modernName, old]) => text.replace(old, modernName), name);
+	return PRESSURE_LEVEL_VARIABLE.test(modern);
+}
+
+// Count the single-character edits needed to turn one string into another (Levenshtein distance).
+function getEditDistance(a, b) {
+	let row = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+	for (let i = 1; i <= a.length; i++) {
+		const next = [i];
+		for (let j = 1; j <= b.length; j++) {
+			next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		row = next;
+	}
+	return row[b.length];
+}
+
+// Suggest the closest known variable name for a block, if any is close enough.
+function suggestVariable(name, block) {
+	const text = name.toLowerCase();
+	let best = "";
+	let bestDistance = Math.max(2, Math.floor(text.length / 4)) + 1;
+	KNOWN_VARIABLES[block].forEach((candidate) => {
+		const distance = getEditDistance(text, candidate.toLowerCase());
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	});
+	return best;
+}
+
+// Describe an unknown variable, with a hint when it belongs to another block or looks like a typo.
+function describeUnknownVariable(name, block) {
+	const other = ["daily", "hourly"].find((entry) => entry !== block && isKnownVariable(name, entry));
+	if (other && block !== "current") return `"${name}" is a ${other} variable, not ${block}`;
+	const suggestion = suggestVariable(name, block);
+	return `unknown ${block} variable "${name}"${suggestion ? ` (did you mean ${suggestion}?)` : ""}`;
+}
+
+// Check a comma-separated variable list against the known variables for a block.
+function checkFieldList(id, value, block) {
+	const problems = [];
+	normalizeList(value, []).forEach((name) => {
+		if (DERIVED_FIELDS.includes(name)) problems.push(`${id}: "${name}" is computed locally and cannot be requested`);
+		else if (!isKnownVariable(name, block)) problems.push(`${id}: ${describeUnknownVariable(name, block)}`);
+	});
+	return problems;
+}
+
+// Check that a timezone is `auto` or a valid IANA name.
+function isValidTimezone(text) {
+	if (text.toLowerCase() === "auto") return true;
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: text });
+		return true;
+	}
+	catch (err) {
+		return false;
+	}
+}
+
+// Get the maximum number of forecast days: 35 for the ensemble API, otherwise 16.
+function getForecastDayLimit(params) {
+	return getBooleanParam(params, "ensemble") ? 35 : 16;
+}
+
+// Get a parameter's default value from the schema (the first option for selects), so runtime defaults match xyops.json.
+function getParamDefault(id) {
+	const spec = PARAM_SCHEMA.find((item) => item.id === id);
+	return spec.options ? spec.options[0] : spec.value;
+}
+
+// Read a numeric parameter, falling back to its schema default.
+function getNumberParam(params, id) {
+	return parseNumber(params[id], parseNumber(getParamDefault(id), NaN));
+}
 
-	const postalCode = params.postal_code ? String(params.postal_code).trim() : "";
-	let latitude = parseNumber(params.latitude, NaN);
-	let longitude = parseNumber(params.longitude, NaN);
+// Read an on/off parameter, falling back to its schema default.
+function getBooleanParam(params, id) {
+	return parseBoolean(params[id], getParamDefault(id));
+}
 
-	let geoDetails = null;
-	if (postalCode) {
-		const geo = await resolvePostalCode(postalCode, timeoutMs, apiKey);
-		if (!geo) {
-			return fail("params", "Failed to resolve postal code to coordinates.");
-		}
-		latitude = geo.latitude;
-		longitude = geo.longitude;
-		geoDetails = geo;
-	}
+// Read a text or select parameter (trimmed), falling back to its schema default.
+function getTextParam(params, id) {
+	const value = params[id];
+	const text = value === undefined || value === null ? "" : String(value).trim();
+	return text || String(getParamDefault(id) ?? "").trim();
+}
+
+// Resolve a schema limit, which may be a function of the job params.
+function getParamLimit(limit, params) {
+	return typeof limit === "function" ? limit(params) : limit;
+}
+
+// Describe an allowed numeric range, e.g. `1 to 16` or `0 or more`.
+function describeRange(min, max) {
+	if (min !== undefined && max !== undefined) return `${min} to ${max}`;
+	return min !== undefined ? `${min} or more` : `up to ${max}`;
+}
 
-	if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-		return fail("params", "Provide a postal code or a numeric latitude/longitude pair.");
+// Check the `locations` parameter, including coordinate ranges and saved location aliases.
+function checkLocationsParam(value, params) {
+	let specs;
+	try {
+		specs = parseLocationList(value);
+	}
+	catch (err) {
+		return [`locations: ${err.message}`];
 	}
 
-	// Allow spaces in the UI, but strip them out for the API.
-	const dailyList = normalizeList(params.daily, DEFAULT_DAILY);
-	const hourlyList = normalizeList(params.hourly, DEFAULT_HOURLY);
-	const currentWeather = true;
+	// Out of range coordinates and unknown aliases are reported per entry, so one bad location does not fail the batch.
+	// A broken locations file is reported once, by its own check.
+	if (!specs.some((spec) => spec.location)) return [];
+	try {
+		getLocationRegistry(params);
+		return [];
+	}
+	catch (err) {
+		return params.locations_file ? [] : [`locations: ${err.message}`];
+	}
+}
 
-	if (!dailyList.length && !hourlyList.length) {
-		return fail("params", "No data blocks selected. Add daily and/or hourly fields.");
+// Check the saved locations file for the `location` parameter can be loaded (any value that is not an alias is a place name).
+function checkSavedLocationParam(value, params) {
+	try {
+		getLocationRegistry(params);
+		return [];
+	}
+	catch (err) {
+		return params.locations_file ? [] : [`location: ${err.message}`];
 	}
+}
 
-	const temperatureUnit = String(params.temperature_unit || "fahrenheit").trim().toLowerCase();
-	const windspeedUnit = String(params.windspeed_unit || "mph").trim().toLowerCase();
-	const precipitationUnit = String(params.precipitation_unit || "inch").trim().toLowerCase();
-	const timezone = String(params.timezone || "auto").trim();
-	const forecastDays = parseNumber(params.forecast_days, 7);
-	const forecastHours = parseNumber(params.forecast_hours, 24);
-	const includeAirQuality = parseBoolean(params.air_quality, true);
+// Check the `locations_file` parameter can be loaded.
+function checkLocationsFileParam(value) {
+	try {
+		loadLocationRegistry(String(value).trim());
+		return [];
+	}
+	catch (err) {
+		return [`locations_file: ${err.message}`];
+	}
+}
 
-	// Build Open-Meteo query string from user parameters.
-	const query = new URLSearchParams();
-	query.set("latitude", String(latitude));
-	query.set("longitude", String(longitude));
-	if (dailyList.length) query.set("daily", dailyList.join(","));
-	if (hourlyList.length) query.set("hourly", hourlyList.join(","));
-	query.set("current_weather", "true");
-	if (temperatureUnit) query.set("temperature_unit", temperatureUnit);
-	if (windspeedUnit) query.set("windspeed_unit", windspeedUnit);
-	if (precipitationUnit) query.set("precipitation_unit", precipitationUnit);
-	if (timezone) query.set("timezone", timezone);
-	if (Number.isFinite(forecastDays)) query.set("forecast_days", String(forecastDays));
-	if (Number.isFinite(forecastHours)) query.set("forecast_hours", String(forecastHours));
-	if (apiKey) query.set("apikey", apiKey);
+// Check the `models` parameter for invalid model names.
+function checkModelsParam(value) {
+	return normalizeList(value, []).filter((model) => !/^[a-z0-9_]+$/i.test(model)).map((model) => `models: invalid model name "${model}"`);
+}
 
-	const apiUrl = `https://api.open-meteo.com/v1/forecast?${query.toString()}`;
+// Check the `alert_rules` parameter, including the variable named by each rule.
+function checkAlertRulesParam(value) {
+	let rules;
+	try {
+		rules = parseAlertRules(value);
+	}
+	catch (err) {
+		return [`alert_rules: ${err.message}`];
+	}
+	const legacyKeys = Object.values(LEGACY_CURRENT_KEYS).concat(["time", "interval"]);
+	return rules.filter((rule) => {
+		if (DERIVED_FIELDS.includes(rule.field)) return false;
+		if (rule.block === "current" && legacyKeys.includes(rule.field)) return false;
+		return !isKnownVariable(rule.field, rule.block);
+	}).map((rule) => `alert_rules: ${describeUnknownVariable(rule.field, rule.block)}`);
+}
 
-	// Fetch Open-Meteo data via native fetch.
-	let data;
+// Check the `change_thresholds` parameter.
+function checkChangeThresholdsParam(value) {
 	try {
-		data = await fetchJson(apiUrl, timeoutMs);
+		parseChangeThresholds(value);
+		return [];
 	}
 	catch (err) {
-		const message = err && err.name === "AbortError" ? "Request timed out." : `Request failed: ${err.message || err}`;
-		return fail("http", message);
+		return [`change_thresholds: ${err.message}`];
 	}
+}
 
-	if (data && data.error) {
-		return fail("api", data.reason || "Open-Meteo returned an error.");
+// Check the `solar` parameter.
+function checkSolarParam(value) {
+	try {
+		parseSolarSystem(value);
+		return [];
+	}
+	catch (err) {
+		return [`solar: ${err.message}`];
 	}
+}
 
-	// Fetch air quality data as a best-effort optional payload.
-	let airQualityData = null;
-	let airQualityError = null;
-	if (includeAirQuality) {
-		try {
-			const airQuery = new URLSearchParams();
-			airQuery.set("latitude", String(latitude));
-			airQuery.set("longitude", String(longitude));
-			airQuery.set("hourly", DEFAULT_AIR_QUALITY_HOURLY.join(","));
-			airQuery.set("timezone", timezone || "auto");
-			airQuery.set("forecast_hours", "1");
-			if (apiKey) airQuery.set("apikey", apiKey);
-
-			const airUrl = `https://air-quality-api.open-meteo.com/v1/air-quality?${airQuery.toString()}`;
-			airQualityData = await fetchJson(airUrl, timeoutMs);
-			if (airQualityData && airQualityData.error) {
-				airQualityError = airQualityData.reason || "Open-Meteo returned an air quality error.";
-				airQualityData = null;
-			}
-		}
-		catch (err) {
-			airQualityError = err && err.name === "AbortError" ? "Air quality request timed out." : `Air quality request failed: ${err.message || err}`;
+// Check a single parameter value against its schema entry, returning a list of problems.
+function checkParam(spec, value, params) {
+	const text = String(value).trim();
+	const problems = [];
+
+	if (spec.kind === "number" || spec.kind === "integer") {
+		const num = Number(text);
+		const min = getParamLimit(spec.min, params);
+		const max = getParamLimit(spec.max, params);
+		if (!Number.isFinite(num)) problems.push(`${spec.id}: "${text}" is not a number`);
+		else if (spec.kind === "integer" && !Number.isInteger(num)) problems.push(`${spec.id}: ${num} is not a whole number`);
+		else if ((min !== undefined && num < min) || (max !== undefined && num > max)) {
+			problems.push(`${spec.id}: ${num} is out of range (allowed: ${describeRange(min, max)})`);
 		}
 	}
+	else if (spec.kind === "boolean") {
+		if (parseBoolean(value, undefined) === undefined) problems.push(`${spec.id}: "${text}" is not a boolean (allowed: true, false)`);
+	}
+	else if (spec.kind === "enum") {
+		const list = spec.multiple ? normalizeList(text, []) : [text];
+		list.filter((item) => !spec.options.includes(item.toLowerCase())).forEach((item) => {
+			problems.push(`${spec.id}: unknown value "${item}" (allowed: ${spec.options.join(", ")})`);
+		});
+	}
+	else if (spec.kind === "date") {
+		if (!isValidDate(text)) problems.push(`${spec.id}: "${text}" is not a valid date (expected YYYY-MM-DD)`);
+	}
+	else if (spec.kind === "timezone") {
+		if (!isValidTimezone(text)) problems.push(`${spec.id}: unknown timezone "${text}" (expected an IANA name, e.g. America/Los_Angeles, or auto)`);
+	}
+	else if (spec.kind === "fields") {
+		problems.push(...checkFieldList(spec.id, value, spec.block));
+	}
+
+	if (spec.pattern && !spec.pattern.test(text)) problems.push(`${spec.id}: "${text}" is not valid (expected ${spec.hint})`);
+	if (spec.check) problems.push(...spec.check(value, params));
+	return problems;
+}
+
+// Validate all job parameters against the schema up front, returning every problem found (empty if valid).
+function validateParams(params) {
+	const problems = [];
+	PARAM_SCHEMA.forEach((spec) => {
+		const value = params[spec.id];
+		if (value === undefined || value === null || String(value).trim() === "") return;
+		problems.push(...checkParam(spec, value, params));
+	});
+
+	// Rules spanning more than one parameter.
+	const mode = getTextParam(params, "mode").toLowerCase();
+	if (mode === "historical") {
+		const startDate = String(params.start_date || "").trim();
+		const endDate = String(params.end_date || "").trim();
+		if (!startDate || !endDate) problems.push("Historical mode requires a start_date and end_date in YYYY-MM-DD format");
+		else if (isValidDate(startDate) && isValidDate(endDate) && startDate > endDate) problems.push("The start_date must be on or before the end_date");
+		if (getBooleanParam(params, "ensemble")) problems.push("The ensemble option is not available in historical mode");
+	}
+	if (!normalizeList(params.daily, DEFAULT_DAILY).length && !normalizeList(params.hourly, DEFAULT_HOURLY).length) {
+		problems.push("No data blocks selected. Add daily and/or hourly fields");
+	}
+
+	return problems;
+}
+
+// Validate job parameters, throwing a `params` error that lists every problem.
+function assertValidParams(params) {
+	const problems = validateParams(params);
+	if (problems.length) {
+		throw Object.assign(new Error(`Invalid ${problems.length === 1 ? "parameter" : "parameters"}: ${problems.join("; ")}.`), { code: "params" });
+	}
+}
+
+// Build the xyOps plugin parameter list from the schema.
+function buildXyopsParams() {
+	return PARAM_SCHEMA.filter((spec) => !spec.hidden).map((spec) => {
+		const param = { id: spec.id, title: spec.title, type: spec.type, caption: spec.caption, locked: false };
+		param.value = spec.options ? spec.options.join(", ") : spec.value;
+		if (spec.variant) param.variant = spec.variant;
+		if (spec.type === "text" || spec.type === "textarea") param.required = !!spec.required;
+		return param;
+	});
+}
+
+// Regenerate the plugin parameters in xyops.json from the schema (`npm run build:xyops`).
+function writeXyopsFile() {
+	const file = path.join(__dirname, "xyops.json");
+	const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+	doc.items[0].data.params = buildXyopsParams();
+	fs.writeFileSync(file, `${JSON.stringify(doc, null, "\t")}\n`);
+}
+
+// Build the structured output block for a single resolved location.
+function buildLocationOutput(entry, settings, params) {
+	const { data, airQualityData, airQualityError, marineData, marineError, solarData, solarError, solarSystem, geo } = entry;
+	const { forecastHours, includeAirQuality, includeMarine, timezone } = settings;
+
+	// Merge multi-model or ensemble responses into a consensus first, so the rest sees plain field names.
+	const consensus = settings.models.length ? mergeModelData(data, settings.fieldLists, settings) : undefined;
+
+	// Enhance the API response with derived metrics and friendly summaries.
+	normalizeCurrentBlock(data);
 
-	// Enhance the API response with friendly summaries.
+	// Window mode scans its own horizon first, then the rest of the output covers `forecast_hours`, as in forecast mode.
+	const windows = settings.windowConstraints ? findWeatherWindows(data, settings.windowConstraints, params) : undefined;
+	if (windows && data.hourly) data.hourly = trimHourlyData(data.hourly, forecastHours);
+
+	applyDerivedMetrics(data, params);
 	const currentSummary = buildCurrentSummary(data, params);
 	const dailySummaries = buildDailySummaries(data, params);
 	const hourlySummaries = buildHourlySummaries(data, params, forecastHours);
-	const airQualityCurrent = includeAirQuality ? buildAirQualityCurrent(airQualityData) : null;
+	const briefing = settings.includeBriefing ? buildBriefing(data, params) : undefined;
+	const language = getLanguage(params);
+	const airQualityCurrent = includeAirQuality ? buildAirQualityCurrent(airQualityData, language) : null;
 	const currentHumidity = getCurrentHumidity(data);
+	const hazards = settings.includeHazards ? detectHazards(data, includeAirQuality ? airQualityData : null, params, dailySummaries) : undefined;
 
 	if (currentSummary && airQualityCurrent) {
-		if (airQualityCurrent.european_aqi !== undefined) {
-			const label = airQualityCurrent.aqi_label ? ` (${airQualityCurrent.aqi_label})` : "";
-			currentSummary.line += `, Air Quality AQI ${airQualityCurrent.european_aqi}${label}`;
-		}
-		else if (airQualityCurrent.pm2_5 !== undefined) {
-			currentSummary.line += `, Air Quality PM2.5 ${airQualityCurrent.pm2_5}`;
-		}
+		const airQualityLine = buildAirQualityLine(airQualityCurrent, settings.aqiStandard, language);
+		if (airQualityLine) currentSummary.line += `, ${airQualityLine}`;
 	}
 
 	if (currentSummary && currentHumidity !== undefined) {
-		currentSummary.line += `, Humidity ${currentHumidity}%`;
+		currentSummary.line += `, ${translate(language, "Humidity")} ${currentHumidity}%`;
+	}
+
+	// The top hazard leads the current summary.
+	if (currentSummary && hazards && hazards.length) {
+		const headline = hazards[0].headline;
+		currentSummary.line = `⚠️ ${headline}${headline.endsWith(".") ? "" : "."} ${currentSummary.line}`;
+	}
+
+	if (includeMarine && marineData) {
+		addMarineToSummaries(dailySummaries, marineData.daily, marineData.daily_units, "date", ["wave_height_max", "wave_period_max", "wave_direction_dominant"], language);
+		addMarineToSummaries(hourlySummaries, marineData.hourly, marineData.hourly_units, "time", ["wave_height", "wave_period", "wave_direction"], language);
 	}
 
-	// Assemble a human-friendly summary block.
-	const summaryLines = [];
-	if (currentSummary) summaryLines.push(currentSummary.line);
+	const solar = solarData ? estimateSolarProduction(solarData, solarSystem) : undefined;
+	if (solar) addSolarToSummaries(dailySummaries, solar, getLocale(params), language);
 
 	// Prepare the final structured output for xyOps.
 	const trimmedHourly = data.hourly ? trimHourlyData(data.hourly, forecastHours) : undefined;
-	const output = {
+	return {
 		location: {
-			latitude: data.latitude ?? latitude,
-			longitude: data.longitude ?? longitude,
+			label: entry.spec.label || undefined,
+			alias: entry.spec.alias,
+			latitude: data.latitude ?? entry.latitude,
+			longitude: data.longitude ?? entry.longitude,
 			timezone: data.timezone || timezone,
 			elevation: data.elevation,
-			postal_code: postalCode || undefined,
-			name: geoDetails ? geoDetails.name : undefined,
-			admin1: geoDetails ? geoDetails.admin1 : undefined,
-			admin2: geoDetails ? geoDetails.admin2 : undefined,
-			admin3: geoDetails ? geoDetails.admin3 : undefined,
-			admin4: geoDetails ? geoDetails.admin4 : undefined
+			postal_code: entry.spec.postal_code || undefined,
+			location_query: entry.spec.location_query || undefined,
+			name: geo ? geo.name : undefined,
+			admin1: geo ? geo.admin1 : undefined,
+			admin2: geo ? geo.admin2 : undefined,
+			admin3: geo ? geo.admin3 : undefined,
+			admin4: geo ? geo.admin4 : undefined,
+			country: geo ? geo.country : undefined,
+			country_code: geo ? geo.country_code : undefined,
+			ambiguous: entry.ambiguous || undefined,
+			alternatives: entry.alternatives
 		},
 		current: data.current_weather ? {
 			...data.current_weather,
 			summary: currentSummary ? currentSummary.line : undefined,
 			emoji: currentSummary ? currentSummary.emoji : undefined,
 			humidity: currentHumidity,
-			aqi: airQualityCurrent ? airQualityCurrent.european_aqi : undefined
+			aqi: airQualityCurrent ? (settings.aqiStandard === "us" ? airQualityCurrent.us_aqi : airQualityCurrent.european_aqi) : undefined,
+			us_aqi: airQualityCurrent ? airQualityCurrent.us_aqi : undefined
 		} : undefined,
 		daily: data.daily ? {
 			...data.daily,
@@ -647,16 +4707,655 @@ async function fetchJson(apiUrl, timeoutMs) {
 			...trimmedHourly,
 			summaries: hourlySummaries
 		} : undefined,
-		air_quality: includeAirQuality ? (airQualityCurrent ? {
-			current: airQualityCurrent,
-			units: airQualityData && airQualityData.hourly_units ? airQualityData.hourly_units : undefined
-		} : (airQualityError ? { error: airQualityError } : undefined)) : undefined,
+		briefing,
+		hazards,
+		consensus: consensus ? {
+			source: consensus.source,
+			models: consensus.models,
+			current: consensus.current,
+			daily: consensus.daily,
+			hourly: trimConsensusBlock(consensus.hourly, forecastHours)
+		} : undefined,
+		windows,
+		range: settings.mode === "historical" ? {
+			start_date: settings.startDate,
+			end_date: settings.endDate
+		} : undefined,
+		stats: settings.mode === "historical" ? {
+			daily: buildRangeStats(data.daily),
+			hourly: buildRangeStats(data.hourly)
+		} : undefined,
+		alerts: settings.alertRules.length ? evaluateAlertRules(settings.alertRules, data) : undefined,
+		air_quality: includeAirQuality ? buildAirQualityOutput(airQualityData, airQualityError, forecastHours, language) : undefined,
+		marine: includeMarine ? (marineData ? {
+			hourly: marineData.hourly ? trimHourlyData(marineData.hourly, forecastHours) : undefined,
+			daily: marineData.daily || undefined,
+			units: {
+				hourly: marineData.hourly_units || undefined,
+				daily: marineData.daily_units || undefined
+			}
+		} : (marineError ? { error: marineError } : undefined)) : undefined,
+		solar: solar || (solarError ? { system: solarSystem, error: solarError } : undefined),
+		cache_hit: {
+			geocode: entry.geocodeCacheHit,
+			forecast: entry.forecastCacheHit,
+			air_quality: entry.airQualityCacheHit,
+			marine: entry.marineCacheHit,
+			solar: entry.solarCacheHit
+		},
 		units: {
 			current: data.current_weather_units || undefined,
 			daily: data.daily_units || undefined,
 			hourly: data.hourly_units || undefined
 		}
 	};
+}
+
+// Run a weather job: validate params, resolve locations, fetch APIs, build summaries and resolve to an XYWP payload.
+// Failures reject with an error carrying an XYWP `code`.  Options: `apiKey` (defaults to `METEO_API_KEY`), a `log` function
+// and a `progress` function, called with the completed fraction (0 to 1) as requests finish.
+async function runJob(params, options) {
+	const opts = options || {};
+	const log = opts.log || (() => {});
+	const progress = opts.progress || (() => {});
+
+	// Check every parameter up front, so all problems are reported together.
+	assertValidParams(params);
+
+	// A saved location supplies the place, and its timezone, units and language replace the job's.
+	const registry = (params.location || params.locations) ? getLocationRegistry(params) : {};
+	const site = (params.location && !params.locations) ? getSavedLocation(registry, params.location) : null;
+	if (site) params = { ...params, ...site.settings };
+	else if (params.location && !params.locations) {
+		// Any other `location` is a place name, as it was before saved locations (e.g. `--location Portland`).
+		const suggestion = suggestSavedLocation(registry, params.location);
+		log(`No saved location "${String(params.location).trim()}"${suggestion ? ` (did you mean ${suggestion}?)` : ""}, looking it up as a place name`);
+		params = { ...params, postal_code: "", location_query: String(params.location).trim(), latitude: "", longitude: "" };
+	}
+
+	const fetchOpts = getFetchOptions(params, log);
+	const perf = fetchOpts.perf;
+	const apiKey = getApiKey(opts);
+
+	// Batch mode is enabled by the `locations` parameter, otherwise use the single location params.
+	let specs = parseLocationList(params.locations).map((spec) => applySavedLocationSpec(spec, registry));
+	const batchMode = specs.length > 0;
+	if (site) {
+		specs = [{ ...site.spec }];
+	}
+	else if (!batchMode) {
+		specs = [{
+			label: "",
+			postal_code: params.postal_code ? String(params.postal_code).trim() : "",
+			location_query: params.location_query ? String(params.location_query).trim() : "",
+			latitude: parseNumber(params.latitude, NaN),
+			longitude: parseNumber(params.longitude, NaN)
+		}];
+	}
+
+	// Country and region filters apply to all locations, unless set per location.
+	const reverseGeocode = getBooleanParam(params, "reverse_geocode");
+	specs.forEach((spec) => {
+		if (!spec.country_code && params.country_code) spec.country_code = String(params.country_code).trim();
+		if (!spec.admin1 && params.admin1) spec.admin1 = String(params.admin1).trim();
+		spec.language = getLanguage(params);
+		spec.reverseGeocode = reverseGeocode;
+	});
+	assignLocationKeys(specs);
+
+	// Allow spaces in the UI, but strip them out for the API.
+	const dailyList = normalizeList(params.daily, DEFAULT_DAILY);
+	const hourlyList = normalizeList(params.hourly, DEFAULT_HOURLY);
+	const currentList = params.current ? normalizeList(params.current, DEFAULT_CURRENT) : DEFAULT_CURRENT.slice();
+	REQUIRED_CURRENT.forEach((names) => {
+		if (!names.some((name) => currentList.includes(name))) currentList.push(names[0]);
+	});
+
+	const settings = {
+		temperatureUnit: getTextParam(params, "temperature_unit").toLowerCase(),
+		windspeedUnit: getTextParam(params, "windspeed_unit").toLowerCase(),
+		precipitationUnit: getTextParam(params, "precipitation_unit").toLowerCase(),
+		timezone: getTextParam(params, "timezone"),
+		forecastDays: getNumberParam(params, "forecast_days"),
+		forecastHours: getNumberParam(params, "forecast_hours"),
+		includeAirQuality: getBooleanParam(params, "air_quality"),
+		includePollen: getBooleanParam(params, "pollen"),
+		includeMarine: getBooleanParam(params, "marine"),
+		includeBriefing: getBooleanParam(params, "briefing"),
+		includeHazards: getBooleanParam(params, "hazards"),
+		solar: params.solar ? parseSolarSystem(params.solar) : undefined,
+		includeSolar: !!params.solar || specs.some((spec) => spec.solar),
+		trackChanges: getBooleanParam(params, "track_changes"),
+		stateDir: params.state_dir ? String(params.state_dir).trim() : path.join(os.tmpdir(), "xyplug-weather-state"),
+		aqiStandard: getTextParam(params, "aqi_standard").toLowerCase(),
+		concurrency: getNumberParam(params, "concurrency"),
+		cache: getCacheOptions(params),
+		mode: getTextParam(params, "mode").toLowerCase(),
+		startDate: params.start_date ? String(params.start_date).trim() : "",
+		endDate: params.end_date ? String(params.end_date).trim() : "",
+		alertAction: getTextParam(params, "alert_action").toLowerCase(),
+		reportFormat: parseReportFormat(params.report_format),
+		exportFormats: parseExportFormats(params.export),
+		exportDir: params.export_dir ? String(params.export_dir).trim() : process.cwd(),
+		models: normalizeList(params.models, []),
+		ensemble: getBooleanParam(params, "ensemble"),
+		language: getLanguage(params),
+		log
+	};
+
+	// The ensemble API requires a model, and does not provide every default field or current conditions.
+	if (settings.ensemble) {
+		if (!settings.models.length) settings.models = ["icon_seamless"];
+		if (params.daily === undefined) removeListItems(dailyList, ENSEMBLE_UNSUPPORTED);
+		if (params.hourly === undefined) removeListItems(hourlyList, ENSEMBLE_UNSUPPORTED);
+	}
+
+	// Historical mode queries the archive API for a date range, without current conditions or air quality.
+	if (settings.mode === "historical") {
+		if (params.daily === undefined) removeListItems(dailyList, ARCHIVE_UNSUPPORTED);
+		if (params.hourly === undefined) removeListItems(hourlyList, ARCHIVE_UNSUPPORTED);
+		settings.forecastHours = undefined;
+		settings.includeAirQuality = false;
+		settings.includeMarine = false;
+		settings.includeSolar = false;
+		settings.trackChanges = false;
+		settings.includeBriefing = false;
+		settings.includeHazards = false;
+	}
+	else if (settings.mode === "window") {
+		// Window mode scans the hourly forecast for periods meeting the constraints, over its own horizon.
+		settings.windowHours = parseNumber(params.window_hours, settings.forecastDays * 24);
+		settings.windowConstraints = { ...getWindowConstraints(params), hours: settings.windowHours };
+		addWindowFields(settings.windowConstraints, hourlyList);
+	}
+
+	// The briefing words its precipitation chances from the hourly probability (not available from the ensemble API),
+	// which is added to the default hourly list only, so a custom list is left as the job set it.
+	if (settings.includeBriefing && params.hourly === undefined && hourlyList.length && !settings.ensemble && !hourlyList.includes("precipitation_probability")) {
+		hourlyList.push("precipitation_probability");
+	}
+
+	// Request the daily feels-like range and dew point for the comfort metrics (the feels-like high also drives heat stress hazards),
+	// unless the job picks its own daily fields.  The archive computes the dew point from its hourly data instead, and the ensemble
+	// API provides none of them.
+	if (params.daily === undefined && dailyList.length && !settings.ensemble) {
+		const comfortFields = ["apparent_temperature_max", "apparent_temperature_min"];
+		if (settings.mode !== "historical") comfortFields.push("dew_point_2m_mean");
+		comfortFields.filter((field) => !dailyList.includes(field) && !dailyList.includes(field.replace("dew_point", "dewpoint"))).forEach((field) => {
+			dailyList.push(field);
+		});
+	}
+
+	// Parse user-defined alert rules, and make sure their fields are requested.
+	settings.alertRules = parseAlertRules(params.alert_rules);
+	addAlertRuleFields(settings.alertRules, dailyList, hourlyList, currentList);
+
+	settings.changeThresholds = parseChangeThresholds(params.change_thresholds);
+
+	// Resolve all locations to coordinates and place names with limited concurrency, geocoding or reverse geocoding as needed (the first 30% of progress).
+	let geocoded = 0;
+	const resolveAll = () => mapLimit(specs, settings.concurrency, async (spec) => {
+		try {
+			return { spec, ...(await resolveLocation(spec, fetchOpts, apiKey, settings.cache)) };
+		}
+		catch (err) {
+			return { spec, error: err.message, errorCode: err.code || "params" };
+		}
+		finally {
+			progress(0.3 * (++geocoded / specs.length));
+		}
+	});
+	const needsGeocode = specs.some((spec) => spec.postal_code || spec.location_query || spec.reverseGeocode);
+	const entries = needsGeocode ? await timeStage(perf, "geocode", resolveAll) : await resolveAll();
+
+	if (!batchMode && entries[0].error) {
+		throw Object.assign(new Error(entries[0].error), { code: entries[0].errorCode });
+	}
+
+	// Build Open-Meteo query string from user parameters (coordinates are added per batch).
+	const query = new URLSearchParams();
+	if (dailyList.length) query.set("daily", dailyList.join(","));
+	if (hourlyList.length) query.set("hourly", hourlyList.join(","));
+	if (settings.mode === "historical") {
+		query.set("start_date", settings.startDate);
+		query.set("end_date", settings.endDate);
+	}
+	else {
+		if (!settings.ensemble) query.set("current", currentList.join(","));
+		if (Number.isFinite(settings.forecastDays)) query.set("forecast_days", String(settings.forecastDays));
+		// Window mode may scan further ahead than the hourly output, which is trimmed to `forecast_hours` later.
+		const requestHours = settings.windowHours !== undefined ? Math.max(settings.forecastHours, settings.windowHours) : settings.forecastHours;
+		if (Number.isFinite(requestHours)) query.set("forecast_hours", String(requestHours));
+	}
+	if (settings.temperatureUnit) query.set("temperature_unit", settings.temperatureUnit);
+	if (settings.windspeedUnit) query.set("windspeed_unit", settings.windspeedUnit);
+	if (settings.precipitationUnit) query.set("precipitation_unit", settings.precipitationUnit);
+	if (settings.timezone) query.set("timezone", settings.timezone);
+	if (settings.models.length) query.set("models", settings.models.join(","));
+	if (apiKey) query.set("apikey", apiKey);
+	settings.fieldLists = { daily: dailyList, hourly: hourlyList, current: currentList };
+
+	let apiUrl = "https://api.open-meteo.com/v1/forecast";
+	if (settings.mode === "historical") apiUrl = "https://archive-api.open-meteo.com/v1/archive";
+	else if (settings.ensemble) apiUrl = "https://ensemble-api.open-meteo.com/v1/ensemble";
+
+	// Fetch the forecast, air quality, marine and solar data in parallel, as they only need the coordinates (the next 60% of progress).
+	const resolved = entries.filter((entry) => !entry.error);
+	const tasks = [];
+	if (resolved.length) {
+		tasks.push(timeStage(perf, "forecast", () => fetchForecast(resolved, apiUrl, query, fetchOpts, settings)));
+		if (settings.includeAirQuality) tasks.push(timeStage(perf, "air_quality", () => fetchAirQuality(resolved, settings, fetchOpts, apiKey)));
+		if (settings.includeMarine) tasks.push(timeStage(perf, "marine", () => fetchMarine(resolved, settings, fetchOpts, apiKey)));
+		if (settings.includeSolar) tasks.push(timeStage(perf, "solar", () => fetchSolar(resolved, settings, fetchOpts, apiKey)));
+	}
+	let fetched = 0;
+	await Promise.all(tasks.map((task) => task.then(() => progress(0.3 + 0.6 * (++fetched / tasks.length)))));
+
+	if (!batchMode && entries[0].error) {
+		throw Object.assign(new Error(entries[0].error), { code: entries[0].errorCode });
+	}
+
+	// Diff each location against its previous snapshot, when change tracking is enabled.
+	const addChanges = (key, output) => {
+		if (!settings.trackChanges) return;
+		const { changes, since } = trackForecastChanges(key, output, settings);
+		output.changes = changes;
+		output.changes_since = since;
+	};
+
+	// Summarizing covers building the output, reports and export files.
+	const summarizeStart = performance.now();
+	if (!batchMode) {
+		const output = buildLocationOutput(entries[0], settings, params);
+		addChanges(entries[0].spec.key, output);
+		output.fetch_stats = fetchOpts.stats;
+		const reports = [{ key: entries[0].spec.key, output }];
+		const outcome = getWindowOutcome(reports, settings) || getAlertOutcome(output.alerts || [], settings.alertAction);
+		const payload = addReports({ xy: 1, ...outcome, data: output }, reports, settings.reportFormat, false, settings.language);
+		addHazardTags(payload, reports);
+		const finalPayload = addExportFiles(payload, reports, settings, false);
+		addPerf(perf, "summarize", summarizeStart);
+		return { ...finalPayload, perf: getPerfMetrics(perf) };
+	}
+
+	// Batch mode: report each location under its key, including per-location errors.
+	if (entries.every((entry) => entry.error)) {
+		const problems = entries.map((entry) => `${entry.spec.key}: ${entry.error}`).join("; ");
+		throw Object.assign(new Error(`All locations failed. ${problems}`), { code: entries[0].errorCode });
+	}
+
+	const locations = {};
+	const alerts = [];
+	entries.forEach((entry) => {
+		locations[entry.spec.key] = entry.error ? {
+			location: {
+				label: entry.spec.label || undefined,
+				postal_code: entry.spec.postal_code || undefined,
+				location_query: entry.spec.location_query || undefined,
+				latitude: Number.isFinite(entry.latitude) ? entry.latitude : undefined,
+				longitude: Number.isFinite(entry.longitude) ? entry.longitude : undefined
+			},
+			error: entry.error
+		} : buildLocationOutput(entry, settings, params);
+		if (!entry.error) addChanges(entry.spec.key, locations[entry.spec.key]);
+
+		(locations[entry.spec.key].alerts || []).forEach((alert) => {
+			alerts.push({ ...alert, line: `${entry.spec.key}: ${alert.line}` });
+		});
+	});
+
+	const reports = Object.keys(locations).map((key) => ({ key, output: locations[key] }));
+	const outcome = getWindowOutcome(reports, settings) || getAlertOutcome(alerts, settings.alertAction);
+	const payload = { xy: 1, ...outcome, data: { locations, fetch_stats: fetchOpts.stats } };
+	addHazardTags(payload, reports);
+	const finalPayload = addExportFiles(addReports(payload, reports, settings.reportFormat, true, settings.language), reports, settings, true);
+	addPerf(perf, "summarize", summarizeStart);
+	return { ...finalPayload, perf: getPerfMetrics(perf) };
+}
+
+// Get the Open-Meteo API key from the options, or the `METEO_API_KEY` environment variable.
+function getApiKey(options) {
+	const key = options.apiKey !== undefined ? options.apiKey : process.env.METEO_API_KEY;
+	return key ? String(key).trim() : "";
+}
+
+// Geocode a postal code or place name to the best match, resolving to null if nothing matches.
+async function geocode(query, params, options) {
+	const opts = options || {};
+	assertValidParams(params);
+
+	const filters = { countryCode: params.country_code, admin1: params.admin1, language: getLanguage(params) };
+	const fetchOpts = getFetchOptions(params, opts.log || (() => {}));
+	let result;
+	try {
+		result = await geocodePlace(query, filters, fetchOpts, getApiKey(opts), getCacheOptions(params));
+	}
+	catch (err) {
+		throw Object.assign(new Error(describeFetchError(err, "Geocoding request")), { code: "http" });
+	}
+	if (!result.geo) return null;
+
+	return {
+		...summarizeGeoCandidate(result.geo),
+		timezone: result.geo.timezone,
+		ambiguous: result.ambiguous || undefined,
+		alternatives: result.alternatives
+	};
+}
+
+// Fetch the air quality block for a location (coordinates, postal code or place name), resolving to null if there is no data.
+async function getAirQuality(coords, params, options) {
+	const opts = options || {};
+	assertValidParams(params);
+
+	const apiKey = getApiKey(opts);
+	const fetchOpts = getFetchOptions(params, opts.log || (() => {}));
+	const settings = {
+		includePollen: getBooleanParam(params, "pollen"),
+		timezone: getTextParam(params, "timezone"),
+		forecastHours: getNumberParam(params, "forecast_hours"),
+		cache: getCacheOptions(params)
+	};
+
+	const spec = { ...parseLocationEntry(coords || {}), language: getLanguage(params) };
+	const entry = await resolveLocation(spec, fetchOpts, apiKey, settings.cache);
+	await fetchAirQuality([entry], settings, fetchOpts, apiKey);
+	if (entry.airQualityError) throw Object.assign(new Error(entry.airQualityError), { code: "api" });
+	return buildAirQualityOutput(entry.airQualityData, undefined, settings.forecastHours, getLanguage(params)) || null;
+}
+
+// Create a client for programmatic use.  The defaults are job params applied to every call, plus an optional `api_key` and `log` function.
+function createClient(defaults) {
+	const { api_key: apiKey, log, ...base } = defaults || {};
+	const options = { apiKey, log };
+	return {
+		getForecast: async (params) => (await runJob({ report_format: "none", ...base, ...params }, options)).data,
+		geocode: (query, params) => geocode(query, { ...base, ...params }, options),
+		getAirQuality: (coords, params) => getAirQuality(coords, { ...base, ...params }, options)
+	};
+}
+
+// Short CLI flag aliases for common parameters.
+const CLI_ALIASES = {
+	postal: "postal_code",
+	zip: "postal_code",
+	place: "location_query",
+	country: "country_code",
+	lat: "latitude",
+	lon: "longitude",
+	lng: "longitude",
+	days: "forecast_days",
+	hours: "forecast_hours",
+	tz: "timezone",
+	lang: "language"
+};
+
+// CLI-only flags, with their value placeholder and help text.
+const CLI_FLAGS = {
+	units: ["<metric|imperial>", "Set all three units at once."],
+	format: ["<text|json>", "Output format (defaults to text)."],
+	json: ["", "Print the raw XYWP output as JSON (same as --format json)."],
+	verbose: ["", "Log API requests to STDERR."],
+	"no-color": ["", "Disable colors (also disabled by the NO_COLOR environment variable, or when not writing to a terminal).  --color turns them back on."],
+	help: ["", "Show this help."]
+};
+
+// ANSI color codes for text output.
+const ANSI_COLORS = {
+	bold: "\u001b[1m",
+	dim: "\u001b[2m",
+	red: "\u001b[31m",
+	green: "\u001b[32m",
+	yellow: "\u001b[33m",
+	cyan: "\u001b[36m",
+	reset: "\u001b[0m"
+};
+
+// Throw a CLI usage error.
+function throwUsageError(message) {
+	throw Object.assign(new Error(message), { code: "usage" });
+}
+
+// Convert a parameter id to its CLI flag name, e.g. `forecast_days` to `forecast-days`.
+function getCliFlag(id) {
+	return id.replace(/_/g, "-");
+}
+
+// Suggest the closest known CLI flag for a misspelled one, if any is close enough.
+function suggestCliFlag(flag) {
+	const flags = PARAM_SCHEMA.map((spec) => getCliFlag(spec.id)).concat(Object.keys(CLI_ALIASES), Object.keys(CLI_FLAGS));
+	let best = "";
+	let bestDistance = 3;
+	flags.forEach((candidate) => {
+		const distance = getEditDistance(flag, candidate);
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	});
+	return best;
+}
+
+// Parse CLI arguments into job params and output options.  Every schema parameter has a flag (e.g. `--forecast-days 3`),
+// on/off parameters also accept `--no-<flag>`, and values can be given as `--flag value` or `--flag=value`.
+function parseCliArgs(args) {
+	const cli = { params: { report_format: "none" }, format: "text", verbose: false, color: true, help: false };
+	const specs = {};
+	PARAM_SCHEMA.forEach((spec) => {
+		specs[spec.id] = spec;
+	});
+
+	for (let idx = 0; idx < args.length; idx++) {
+		const arg = args[idx];
+		if (arg === "-h") {
+			cli.help = true;
+			continue;
+		}
+
+		const match = arg.match(/^--(no-)?([a-z0-9][a-z0-9_-]*)(?:=([\s\S]*))?$/i);
+		if (!match) throwUsageError(`Unexpected argument: ${arg}`);
+		const [, negated, rawFlag, inline] = match;
+		const flag = rawFlag.toLowerCase().replace(/_/g, "-");
+		const takeValue = () => {
+			if (inline !== undefined) return inline;
+			if (idx + 1 >= args.length || args[idx + 1].startsWith("--")) throwUsageError(`Missing value for --${flag}`);
+			return args[++idx];
+		};
+
+		if (flag === "help") cli.help = true;
+		else if (flag === "json") cli.format = "json";
+		else if (flag === "verbose") cli.verbose = true;
+		else if (flag === "color") cli.color = !negated;
+		else if (flag === "format") {
+			cli.format = takeValue().trim().toLowerCase();
+			if (!["text", "json"].includes(cli.format)) throwUsageError(`Unknown format: ${cli.format} (allowed: text, json)`);
+		}
+		else if (flag === "units") {
+			const units = takeValue().trim().toLowerCase();
+			if (!UNIT_PRESETS[units]) throwUsageError(`Unknown units: ${units} (allowed: ${Object.keys(UNIT_PRESETS).join(", ")})`);
+			Object.assign(cli.params, UNIT_PRESETS[units]);
+		}
+		else {
+			const id = CLI_ALIASES[flag] || flag.replace(/-/g, "_");
+			const spec = specs[id];
+			if (!spec) {
+				const suggestion = suggestCliFlag(flag);
+				throwUsageError(`Unknown option: --${negated || ""}${flag}${suggestion ? ` (did you mean --${suggestion}?)` : ""}`);
+			}
+			if (spec.kind === "boolean") cli.params[id] = negated ? false : (inline !== undefined ? inline : true);
+			else if (negated) throwUsageError(`--no-${flag} is only valid for on/off options`);
+			else cli.params[id] = takeValue();
+		}
+	}
+
+	return cli;
+}
+
+// Build the CLI help text from the CLI flags and the parameter schema.
+function buildCliHelp() {
+	const lines = [
+		"Usage: xyplug-weather [options]",
+		"       echo '{\"xy\":1,\"params\":{...}}' | xyplug-weather",
+		"",
+		"Fetch the weather from Open-Meteo and print a text summary, or run as an xyOps plugin when XYWP JSON is piped in without options."
+	];
+	const addRows = (title, rows) => {
+		const width = Math.max(...rows.map(([usage]) => usage.length));
+		lines.push("", title, ...rows.map(([usage, help]) => `  ${usage.padEnd(width)}  ${help}`));
+	};
+
+	addRows("Options:", Object.keys(CLI_FLAGS).map((flag) => [`--${flag} ${CLI_FLAGS[flag][0]}`.trim(), CLI_FLAGS[flag][1]]));
+	addRows("Parameters (see xyops.json):", PARAM_SCHEMA.map((spec) => {
+		let value = " <value>";
+		if (spec.kind === "boolean") value = `, --no-${getCliFlag(spec.id)}`;
+		else if (spec.options) value = ` <${spec.options.join("|")}>`;
+		return [`--${getCliFlag(spec.id)}${value}`, spec.caption.replace(/`/g, "")];
+	}));
+
+	lines.push("", `Aliases: ${Object.keys(CLI_ALIASES).map((alias) => `--${alias} (--${getCliFlag(CLI_ALIASES[alias])})`).join(", ")}`);
+	lines.push("", "Exit codes: 0 on success (including warnings), 1 on errors and failed alerts or windows, 2 on invalid options or parameters.");
+	return `${lines.join("\n")}\n`;
+}
+
+// Map an XYWP result code to a CLI exit code.
+function getCliExitCode(code) {
+	if (!code || code === "warning") return 0;
+	return ["usage", "params", "input"].includes(code) ? 2 : 1;
+}
+
+// Wrap text in an ANSI color, when colors are enabled.
+function paint(text, color, enabled) {
+	return enabled ? `${ANSI_COLORS[color]}${text}${ANSI_COLORS.reset}` : text;
+}
+
+// Check whether to use colors on an output stream.
+function useColor(stream, cli) {
+	return cli.color && !!stream.isTTY && !process.env.NO_COLOR;
+}
+
+// Format rows as aligned text columns (the last column is not padded, so it may hold emoji).
+function formatTextTable(header, rows) {
+	const widths = header.map((text, col) => Math.max(text.length, ...rows.map((row) => String(row[col]).length)));
+	return [header].concat(rows).map((row) => {
+		return row.map((cell, col) => (col < row.length - 1 ? String(cell).padEnd(widths[col]) : String(cell))).join("  ").trimEnd();
+	});
+}
+
+// Format a single location's output as text lines: name, current summary, briefing, daily table, then hazards, alerts, windows and changes.
+function formatTextLocation(key, output, language, color) {
+	const lines = [paint(getLocationDisplayName(key, output.location), "cyan", color)];
+	if (output.error) return lines.concat(paint(`  ${output.error}`, "red", color));
+
+	if (output.current && output.current.summary) lines.push(paint(`${output.current.emoji} ${output.current.summary}`, "bold", color));
+	if (output.briefing && output.briefing.text) lines.push(output.briefing.text);
+
+	const rows = buildReportRows({ ...output, hourly: undefined }, language).map((row) => {
+		const [when, emoji, description, temperature, precipitation, wind] = row;
+		return [when, temperature, precipitation, wind, `${emoji} ${description}`];
+	});
+	if (rows.length) {
+		const header = ["When", "Temperature", "Precipitation", "Wind", "Conditions"].map((text) => translate(language, text));
+		const table = formatTextTable(header, rows);
+		lines.push("", paint(table[0], "dim", color), ...table.slice(1));
+	}
+
+	const hazards = (output.hazards || []).map((hazard) => ({ line: `${hazard.headline} (${hazard.severity})` }));
+	const sections = [[hazards, "red"], [output.alerts, "yellow"], [output.windows, "green"], [output.changes, "cyan"]];
+	sections.forEach(([items, itemColor]) => {
+		if (items && items.length) lines.push("", ...items.map((item) => paint(`- ${item.line}`, itemColor, color)));
+	});
+	return lines;
+}
+
+// Format the job output as text, for one location or a batch.
+function formatTextOutput(data, params, color) {
+	const language = getLanguage(params);
+	if (!data.locations) return `${formatTextLocation("", data, language, color).join("\n")}\n`;
+	return `${Object.keys(data.locations).map((key) => formatTextLocation(key, data.locations[key], language, color).join("\n")).join("\n\n")}\n`;
+}
+
+// Write CLI output to a stream and exit with a code.
+function writeCliExit(stream, text, exitCode) {
+	stream.write(text, () => process.exit(exitCode));
+}
+
+// CLI entry point: parse flags, run the job and print text (or JSON) with a meaningful exit code.
+async function runCli(args) {
+	let cli;
+	try {
+		cli = parseCliArgs(args);
+	}
+	catch (err) {
+		return writeCliExit(process.stderr, `${err.message}\nRun xyplug-weather --help for usage.\n`, 2);
+	}
+	if (cli.help || !args.length) return writeCliExit(cli.help ? process.stdout : process.stderr, buildCliHelp(), cli.help ? 0 : 2);
+
+	let payload;
+	try {
+		payload = await runJob(cli.params, { log: cli.verbose ? logDebug : undefined });
+	}
+	catch (err) {
+		payload = { xy: 1, code: err.code || "error", description: err.message };
+	}
+
+	const exitCode = getCliExitCode(payload.code);
+	if (cli.format === "json") return writeCliExit(process.stdout, `${JSON.stringify(payload, null, "\t")}\n`, exitCode);
+
+	if (!payload.data) {
+		return writeCliExit(process.stderr, `${paint(`Error (${payload.code}): ${payload.description}`, "red", useColor(process.stderr, cli))}\n`, exitCode);
+	}
+
+	const color = useColor(process.stdout, cli);
+	let text = formatTextOutput(payload.data, cli.params, color);
+	// Triggered alerts are already listed, but other outcomes (e.g. no weather window found) are explained.
+	if (payload.description && !["warning", "alert"].includes(payload.code)) text += `\n${paint(payload.description, "red", color)}\n`;
+	writeCliExit(process.stdout, text, exitCode);
+}
+
+// Entry point: run the CLI when given options (or on an interactive terminal), otherwise read an XYWP job from STDIN
+// and write the payload (or error) to STDOUT.
+async function main() {
+	const args = process.argv.slice(2);
+	if (args.includes("--xyops")) return writeXyopsFile();
+	if (args.length || process.stdin.isTTY) return runCli(args);
+
+	const job = await readJob();
+	if (!job) return;
+	try {
+		writeExit(await runJob(job.params || {}, { log: logDebug, progress: writeProgress }));
+	}
+	catch (err) {
+		fail(err.code || "error", err.message);
+	}
+}
+
+module.exports = {
+	createClient,
+	runJob,
+	validateParams,
+	PARAM_SCHEMA,
+	getWeatherSummary,
+	buildCurrentSummary,
+	buildDailySummaries,
+	buildHourlySummaries,
+	buildBriefing,
+	applyDerivedMetrics,
+	buildAirQualityCurrent,
+	buildAirQualityDaily,
+	classifyEuropeanAqi,
+	classifyUsAqi,
+	getCompassLabel,
+	getBeaufort,
+	computeDewPoint,
+	computeFeelsLike,
+	parseAlertRules,
+	evaluateAlertRules,
+	findWeatherWindows,
+	detectHazards,
+	buildRangeStats,
+	parseSolarSystem,
+	estimateSolarProduction
+};
 
-	writeExit({ xy: 1, code: 0, data: output });
-})();
+// Only run as an xyOps plugin when executed directly, not when required as a library.
+if (require.main === module) main();
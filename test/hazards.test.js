@@ -0,0 +1,66 @@
+// Tests for the built-in hazard detection.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectHazards } = require("../index.js");
+
+const params = { temperature_unit: "fahrenheit", windspeed_unit: "mph", language: "en" };
+
+test("damaging gusts are grouped into one span with the worst severity and peak", () => {
+	const data = {
+		hourly: {
+			time: ["2026-10-19T10:00", "2026-10-19T11:00", "2026-10-19T12:00", "2026-10-19T13:00"],
+			windgusts_10m: [20, 45, 60, 30]
+		},
+		hourly_units: { windgusts_10m: "mph" }
+	};
+	const hazards = detectHazards(data, null, params, []);
+	assert.equal(hazards.length, 1);
+	assert.deepEqual({ ...hazards[0], headline: undefined }, {
+		type: "damaging_gusts",
+		severity: "severe",
+		start: "2026-10-19T11:00",
+		end: "2026-10-19T13:00",
+		value: 60,
+		code: undefined,
+		headline: undefined
+	});
+});
+
+test("hard freezes are flagged at or below their thresholds, in the job's units", () => {
+	const data = { daily: { time: ["2026-10-19", "2026-10-20", "2026-10-21"], temperature_2m_min: [29, 28, -8] } };
+	const labels = [{ date: "2026-10-20", label: "Tue, Oct 20" }, { date: "2026-10-21", label: "Wed, Oct 21" }];
+	const hazards = detectHazards(data, null, params, labels);
+	assert.deepEqual(hazards.map((hazard) => [hazard.start, hazard.end, hazard.severity, hazard.value]), [["2026-10-20", "2026-10-21", "extreme", -8]]);
+	assert.equal(hazards[0].headline, "Hard freeze -8 F, Tue, Oct 20 – Wed, Oct 21");
+
+	const celsius = detectHazards({ daily: { time: ["2026-10-19"], temperature_2m_min: [-3] } }, null, { ...params, temperature_unit: "celsius" }, []);
+	assert.equal(celsius[0].severity, "moderate");
+});
+
+test("severe weather codes are reported by type", () => {
+	const data = { hourly: { time: ["2026-10-19T10:00", "2026-10-19T11:00"], weathercode: [95, 99] } };
+	const hazards = detectHazards(data, null, params, []);
+	assert.deepEqual(hazards.map((hazard) => [hazard.type, hazard.severity, hazard.code]), [["hail", "extreme", 99], ["thunderstorm", "moderate", 95]]);
+});
+
+test("no hazards for calm weather", () => {
+	const data = { daily: { time: ["2026-10-19"], temperature_2m_max: [70], temperature_2m_min: [50], windgusts_10m_max: [15] } };
+	assert.deepEqual(detectHazards(data, null, params, []), []);
+});
+
+test("UV is very high from 8 and extreme from 11, per the WHO scale", () => {
+	const airQuality = { hourly: { time: ["2026-10-19T11:00", "2026-10-19T12:00", "2026-10-19T13:00", "2026-10-19T14:00"], uv_index: [9, 11.5, 7, 8] } };
+	const hazards = detectHazards({}, airQuality, params, []);
+	assert.deepEqual(hazards.map((hazard) => [hazard.severity, hazard.headline.split(",")[0]]), [
+		["severe", "Extreme UV 11.5"],
+		["moderate", "Very high UV 8"]
+	]);
+	assert.match(detectHazards({}, airQuality, { ...params, language: "de" }, [])[1].headline, /^Sehr hohe UV-Strahlung 8/);
+});
+
+test("heat stress falls back to the high on days without a feels-like high", () => {
+	const data = { daily: { time: ["2026-07-19", "2026-07-20"], apparent_temperature_max: [104, null], temperature_2m_max: [95, 92] } };
+	const hazards = detectHazards(data, null, params, []);
+	assert.deepEqual(hazards.map((hazard) => [hazard.start, hazard.end, hazard.severity, hazard.value]), [["2026-07-19", "2026-07-20", "severe", 104]]);
+});
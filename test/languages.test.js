@@ -0,0 +1,18 @@
+// Tests for translated output.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyEuropeanAqi, classifyUsAqi, buildAirQualityCurrent } = require("../index.js");
+
+test("AQI labels and health advisories are translated", () => {
+	assert.equal(classifyEuropeanAqi(90, "de"), "Sehr schlecht");
+	assert.equal(classifyUsAqi({ us_aqi: 250 }, "fr").label, "Très mauvais");
+
+	const current = buildAirQualityCurrent({ hourly: { time: ["2026-10-19T00:00"], european_aqi: [10], us_aqi: [320] } }, "nl");
+	assert.equal(current.categories.european.advisory, "De luchtkwaliteit is goed. Geniet van uw gebruikelijke buitenactiviteiten.");
+	assert.equal(current.categories.us.label, "Gevaarlijk");
+});
+
+test("unknown languages fall back to English", () => {
+	assert.equal(classifyUsAqi({ us_aqi: 120 }, "pt").label, "Unhealthy for Sensitive Groups");
+});
@@ -0,0 +1,44 @@
+// Tests for parameter validation against the schema.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateParams, PARAM_SCHEMA } = require("../index.js");
+
+test("defaults are valid", () => {
+	assert.deepEqual(validateParams({ latitude: 45.5, longitude: -122.6 }), []);
+});
+
+test("every problem is reported together", () => {
+	assert.deepEqual(validateParams({ latitude: 45.5, longitude: -122.6, forecast_days: 99, temperature_unit: "kelvin" }), [
+		"temperature_unit: unknown value \"kelvin\" (allowed: fahrenheit, celsius)",
+		"forecast_days: 99 is out of range (allowed: 1 to 16)"
+	]);
+});
+
+test("checks span related parameters", () => {
+	assert.deepEqual(validateParams({ latitude: 45.5, longitude: -122.6, mode: "historical" }), [
+		"Historical mode requires a start_date and end_date in YYYY-MM-DD format"
+	]);
+	assert.deepEqual(validateParams({ latitude: 45.5, longitude: -122.6, mode: "historical", start_date: "2025-02-01", end_date: "2025-01-01" }), [
+		"The start_date must be on or before the end_date"
+	]);
+});
+
+test("numbers, timezones and country codes are checked", () => {
+	const problems = validateParams({ latitude: 95, longitude: -122.6, timezone: "Mars/Olympus", country_code: "USA" });
+	assert.equal(problems.length, 3);
+	assert.match(problems.join("\n"), /latitude/);
+	assert.match(problems.join("\n"), /timezone/);
+	assert.match(problems.join("\n"), /country_code/);
+});
+
+test("every schema parameter has an id, title, type and caption", () => {
+	PARAM_SCHEMA.forEach((spec) => {
+		assert.ok(spec.id && spec.title && spec.type && spec.caption, spec.id);
+	});
+});
+
+test("locations are only checked for syntax, as bad entries are reported per entry", () => {
+	assert.deepEqual(validateParams({ locations: "Home = 45.5, -122.6\nSpace = 123, 456" }), []);
+	assert.equal(validateParams({ locations: "[{ \"latitude\": " }).length, 1);
+});
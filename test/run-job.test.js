@@ -0,0 +1,148 @@
+// Tests for runJob against a mocked fetch.
+
+process.env.TZ = "UTC";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runJob } = require("../index.js");
+
+// Build a mocked Open-Meteo response with a constant value for each requested field.
+function buildResponse(query) {
+	const fields = (name) => (query.get(name) || "").split(",").filter(Boolean);
+	const hours = Number(query.get("forecast_hours")) || 24;
+	const days = Number(query.get("forecast_days")) || 7;
+	const value = (field) => (/code/.test(field) ? 3 : (/is_day/.test(field) ? 1 : 10));
+	const block = (names, times) => {
+		const out = { time: times };
+		names.forEach((name) => {
+			out[name] = times.map(() => value(name));
+		});
+		return out;
+	};
+
+	const data = { latitude: Number(query.get("latitude")), longitude: Number(query.get("longitude")), timezone: "America/Los_Angeles", elevation: 50 };
+	const hourTimes = Array.from({ length: hours }, (_, idx) => new Date(Date.UTC(2026, 9, 19, idx)).toISOString().slice(0, 16));
+	const dayTimes = Array.from({ length: days }, (_, idx) => new Date(Date.UTC(2026, 9, 19 + idx)).toISOString().slice(0, 10));
+	if (fields("hourly").length) data.hourly = block(fields("hourly"), hourTimes);
+	if (fields("daily").length) data.daily = block(fields("daily"), dayTimes);
+	if (fields("current").length) {
+		data.current = { time: "2026-10-19T00:00", interval: 900 };
+		fields("current").forEach((name) => {
+			data.current[name] = value(name);
+		});
+	}
+	return data;
+}
+
+// Replace the global fetch for one test, recording the requested URLs.
+function mockFetch(t) {
+	const urls = [];
+	const original = global.fetch;
+	global.fetch = async (url) => {
+		urls.push(url);
+		const parsed = new URL(url);
+		const body = parsed.hostname.startsWith("nominatim") ? {} : buildResponse(parsed.searchParams);
+		return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+	};
+	t.after(() => {
+		global.fetch = original;
+	});
+	return urls;
+}
+
+const baseParams = { latitude: 45.5, longitude: -122.6, cache: "bypass", air_quality: false, language: "en" };
+
+test("a forecast job resolves to an XYWP payload", async (t) => {
+	const urls = mockFetch(t);
+	const progress = [];
+	const payload = await runJob({ ...baseParams }, { apiKey: "", progress: (fraction) => progress.push(fraction) });
+
+	assert.equal(payload.xy, 1);
+	assert.equal(payload.code, 0);
+	assert.equal(payload.data.location.latitude, 45.5);
+	assert.equal(payload.data.daily.summaries.length, 7);
+	assert.equal(payload.data.hourly.summaries.length, 24);
+	assert.equal(payload.data.fetch_stats.failures, 0);
+	assert.ok(Math.abs(progress[progress.length - 1] - 0.9) < 1e-9);
+
+	const forecast = new URL(urls.find((url) => url.includes("/v1/forecast")));
+	assert.equal(forecast.searchParams.get("forecast_hours"), "24");
+	assert.equal(forecast.searchParams.get("timezone"), "auto");
+});
+
+test("invalid params reject before any request", async (t) => {
+	const urls = mockFetch(t);
+	await assert.rejects(runJob({ ...baseParams, forecast_days: 99 }, { apiKey: "" }), { code: "params" });
+	assert.equal(urls.length, 0);
+});
+
+test("a failed location in a batch is reported per entry", async (t) => {
+	mockFetch(t);
+	const payload = await runJob({ ...baseParams, latitude: "", longitude: "", locations: "Home = 45.5, -122.6\nNowhere = 00000" }, { apiKey: "" });
+	assert.ok(payload.data.locations.Home.daily);
+	assert.match(payload.data.locations.Nowhere.error, /Failed to resolve postal code/);
+});
+
+test("window mode scans its own horizon and keeps the hourly output at forecast_hours", async (t) => {
+	const urls = mockFetch(t);
+	const payload = await runJob({ ...baseParams, mode: "window", forecast_hours: 12, window_hours: 48, window_required: true, window_min_temp: 50 }, { apiKey: "" });
+
+	const forecast = new URL(urls.find((url) => url.includes("/v1/forecast")));
+	assert.equal(forecast.searchParams.get("forecast_hours"), "48");
+	assert.equal(payload.data.hourly.time.length, 12);
+	assert.equal(payload.data.hourly.summaries.length, 12);
+	assert.equal(payload.code, "window");
+	assert.equal(payload.description, "No weather window found within the next 48 hours.");
+});
+
+test("out of range coordinates in a batch are reported per entry", async (t) => {
+	mockFetch(t);
+	const payload = await runJob({ ...baseParams, latitude: "", longitude: "", locations: "Home = 45.5, -122.6\nSpace = 123, 456" }, { apiKey: "" });
+	assert.ok(payload.data.locations.Home.daily);
+	assert.match(payload.data.locations.Space.error, /Latitude must be within -90 to 90/);
+});
+
+test("comfort fields are only added to the default daily list", async (t) => {
+	const urls = mockFetch(t);
+	await runJob({ ...baseParams }, { apiKey: "" });
+	await runJob({ ...baseParams, daily: "temperature_2m_max" }, { apiKey: "" });
+
+	const daily = urls.filter((url) => url.includes("/v1/forecast")).map((url) => new URL(url).searchParams.get("daily"));
+	assert.match(daily[0], /apparent_temperature_max,apparent_temperature_min,dew_point_2m_mean/);
+	assert.equal(daily[1], "temperature_2m_max");
+});
+
+test("the briefing only adds the precipitation probability to the default hourly list", async (t) => {
+	const urls = mockFetch(t);
+	await runJob({ ...baseParams }, { apiKey: "" });
+	const payload = await runJob({ ...baseParams, hourly: "temperature_2m" }, { apiKey: "" });
+
+	const hourly = urls.filter((url) => url.includes("/v1/forecast")).map((url) => new URL(url).searchParams.get("hourly").split(","));
+	assert.ok(hourly[0].includes("precipitation_probability"));
+	assert.ok(!hourly[1].includes("precipitation_probability"));
+	assert.equal(payload.data.hourly.precipitation_probability, undefined);
+});
+
+test("coordinates are only reverse geocoded when enabled", async (t) => {
+	const urls = mockFetch(t);
+	await runJob({ ...baseParams }, { apiKey: "" });
+	assert.ok(!urls.some((url) => url.includes("nominatim")));
+
+	await runJob({ ...baseParams, reverse_geocode: true }, { apiKey: "" });
+	assert.ok(urls.some((url) => url.includes("nominatim")));
+});
+
+test("job reports are translated", async (t) => {
+	mockFetch(t);
+	const payload = await runJob({ ...baseParams, language: "de", report_format: "all" }, { apiKey: "" });
+	assert.equal(payload.table.title, "Wettervorhersage");
+	assert.equal(payload.table.caption, "Tagesvorhersage, gefolgt von der Stundenvorhersage, von Open-Meteo.");
+	assert.equal(payload.html.caption, "Wetterdaten von Open-Meteo.com");
+});
+
+test("hazards are not reported in historical mode", async (t) => {
+	mockFetch(t);
+	const payload = await runJob({ ...baseParams, mode: "historical", start_date: "2025-01-01", end_date: "2025-01-02" }, { apiKey: "" });
+	assert.equal(payload.data.hazards, undefined);
+	assert.equal(payload.tags, undefined);
+});
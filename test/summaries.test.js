@@ -0,0 +1,63 @@
+// Tests for the daily and hourly summary builders.
+
+// Forecast times are local to the location, so pin the process timezone for stable labels.
+process.env.TZ = "UTC";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildDailySummaries, buildHourlySummaries, getWeatherSummary, getCompassLabel } = require("../index.js");
+
+const daily = {
+	timezone: "America/Los_Angeles",
+	daily: {
+		time: ["2026-10-19", "2026-10-20"],
+		weathercode: [0, 61],
+		temperature_2m_max: [60, 55],
+		temperature_2m_min: [40, 45],
+		rain_sum: [0, 0.3]
+	},
+	daily_units: { temperature_2m_max: "°F", temperature_2m_min: "°F", rain_sum: "inch" }
+};
+
+const hourly = {
+	timezone: "America/Los_Angeles",
+	hourly: {
+		time: ["2026-10-19T00:00", "2026-10-19T01:00", "2026-10-19T02:00"],
+		temperature_2m: [50, 49, 48],
+		weathercode: [0, 3, 3],
+		is_day: [0, 0, 0]
+	},
+	hourly_units: { temperature_2m: "°F" }
+};
+
+test("daily summaries label each date and describe the day", () => {
+	const summaries = buildDailySummaries(daily, { timezone: "auto", language: "en" });
+	assert.deepEqual(summaries.map((summary) => summary.label), ["Mon, Oct 19", "Tue, Oct 20"]);
+	assert.equal(summaries[0].line, "Mon, Oct 19: Clear skies, High 60 °F, Low 40 °F");
+	assert.equal(summaries[1].line, "Tue, Oct 20: Slight rain, High 55 °F, Low 45 °F, Rain 0.3 inch");
+});
+
+test("labels match the local dates when no timezone is set", () => {
+	// The response's zone name must not shift the local times the request already used.
+	assert.deepEqual(buildDailySummaries(daily, { language: "en" }).map((summary) => summary.label), ["Mon, Oct 19", "Tue, Oct 20"]);
+	assert.equal(buildHourlySummaries(hourly, { language: "en" })[0].label, "Mon, Oct 19, 12 AM");
+});
+
+test("hourly summaries use night wording and stop at the limit", () => {
+	const summaries = buildHourlySummaries(hourly, { timezone: "auto", language: "en" }, 2);
+	assert.equal(summaries.length, 2);
+	assert.equal(summaries[0].line, "Mon, Oct 19, 12 AM: Clear night, 50 °F");
+	assert.equal(summaries[1].description, "Overcast");
+});
+
+test("summaries are empty without data", () => {
+	assert.deepEqual(buildDailySummaries({}, {}), []);
+	assert.deepEqual(buildHourlySummaries(null, {}), []);
+});
+
+test("weather codes and compass labels", () => {
+	assert.equal(getWeatherSummary(0).description, "Clear skies");
+	assert.equal(getWeatherSummary(0, "en", 0).description, "Clear night");
+	assert.equal(getCompassLabel(0), "N");
+	assert.equal(getCompassLabel(225), "SW");
+});
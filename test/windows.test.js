@@ -0,0 +1,53 @@
+// Tests for the weather window scan.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findWeatherWindows } = require("../index.js");
+
+// Build an hourly block starting at midnight from per-hour temperatures and precipitation.
+function buildData(temps, precip) {
+	return {
+		hourly: {
+			time: temps.map((temp, idx) => `2026-10-19T${String(idx).padStart(2, "0")}:00`),
+			temperature_2m: temps,
+			precipitation: precip
+		},
+		hourly_units: { temperature_2m: "°F", precipitation: "inch" }
+	};
+}
+
+test("windows are contiguous matching hours, longest first", () => {
+	const data = buildData([50, 60, 61, 62, 50, 63, 64], [0, 0, 0, 0, 0, 0, 0]);
+	const windows = findWeatherWindows(data, { minTemp: 55, minHours: 1 }, { language: "en" });
+	assert.deepEqual(windows.map((window) => [window.start, window.end, window.hours, window.rank]), [
+		["2026-10-19T01:00", "2026-10-19T04:00", 3, 1],
+		["2026-10-19T05:00", "2026-10-19T07:00", 2, 2]
+	]);
+	assert.deepEqual(windows[0].worst, { temperature_min: 60, temperature_max: 62, precipitation_max: 0 });
+});
+
+test("windows shorter than the minimum length are dropped", () => {
+	const data = buildData([60, 60, 50, 60, 60, 60], [0, 0, 0, 0, 0, 0]);
+	const windows = findWeatherWindows(data, { minTemp: 55, minHours: 3 }, { language: "en" });
+	assert.equal(windows.length, 1);
+	assert.equal(windows[0].start, "2026-10-19T03:00");
+});
+
+test("dry windows exclude wet and missing hours", () => {
+	const data = buildData([60, 60, 60, 60], [0, 0.1, null, 0]);
+	const windows = findWeatherWindows(data, { dry: true, minHours: 1 }, { language: "en" });
+	assert.deepEqual(windows.map((window) => window.start), ["2026-10-19T00:00", "2026-10-19T03:00"]);
+});
+
+test("the scan starts at the current hour", () => {
+	const data = { ...buildData([60, 60, 60, 60], [0, 0, 0, 0]), current_weather: { time: "2026-10-19T02:15" } };
+	const windows = findWeatherWindows(data, { minHours: 1 }, { language: "en" });
+	assert.equal(windows[0].start, "2026-10-19T02:00");
+	assert.equal(windows[0].hours, 2);
+});
+
+test("the scan stops at the window horizon", () => {
+	const data = buildData([60, 60, 60, 60, 60], [0, 0, 0, 0, 0]);
+	const windows = findWeatherWindows(data, { minHours: 1, hours: 3 }, { language: "en" });
+	assert.equal(windows[0].end, "2026-10-19T03:00");
+});